@@ -0,0 +1,452 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""AutoHotkey v1/v2 code formatter, behind the /format route.
+
+Scripts are read a line at a time, the way AutoHotkey reads them, and only
+whitespace at the start of lines, brace placement and the casing of command
+names change; nothing inside a line is rewritten. Indentation follows:
+
+- `{ }` blocks, in either brace style, and braceless bodies of if/else/
+  Loop/while/for/try/catch/finally
+- hotkey and label bodies up to their `return` (v1 style)
+- `case`/`default` inside switch blocks
+- continuation lines starting with an operator or comma, and (v2) lines
+  inside unclosed ( [ {
+
+Continuation sections and /* */ comments are copied verbatim.
+"""
+
+import re
+from collections import namedtuple
+
+BRACE_STYLES = ['preserve', 'otb', 'allman']
+
+CONTROL_FLOW = [
+    'if', 'else', 'Loop', 'while', 'for', 'return', 'break', 'continue', 'try', 'catch',
+    'finally', 'throw', 'switch', 'case', 'default', 'until', 'global', 'local', 'static',
+    'class', 'Goto', 'Gosub', 'Exit', 'ExitApp', 'Critical', 'Pause', 'Suspend', 'Reload',
+]
+
+COMMANDS = [
+    'BlockInput', 'Click', 'ClipWait', 'Control', 'ControlClick', 'ControlFocus', 'ControlGet',
+    'ControlGetText', 'ControlMove', 'ControlSend', 'ControlSendRaw', 'ControlSetText',
+    'CoordMode', 'DetectHiddenText', 'DetectHiddenWindows', 'DllCall', 'Drive', 'DriveGet',
+    'EnvGet', 'EnvSet', 'FileAppend', 'FileCopy', 'FileCopyDir', 'FileCreateDir', 'FileDelete',
+    'FileEncoding', 'FileGetSize', 'FileGetTime', 'FileMove', 'FileMoveDir', 'FileRead',
+    'FileReadLine', 'FileRecycle', 'FileRemoveDir', 'FileSelectFile', 'FileSelectFolder',
+    'FileSetAttrib', 'FileSetTime', 'FormatTime', 'GroupAdd', 'Gui', 'GuiControl',
+    'GuiControlGet', 'Hotkey', 'IfEqual', 'IfExist', 'IfGreater', 'IfGreaterOrEqual',
+    'IfInString', 'IfLess', 'IfLessOrEqual', 'IfMsgBox', 'IfNotEqual', 'IfNotExist',
+    'IfNotInString', 'IfWinActive', 'IfWinExist', 'IfWinNotActive', 'IfWinNotExist',
+    'ImageSearch', 'IniDelete', 'IniRead', 'IniWrite', 'Input', 'InputBox', 'KeyHistory',
+    'KeyWait', 'ListHotkeys', 'ListLines', 'ListVars', 'Menu', 'MouseClick', 'MouseClickDrag',
+    'MouseGetPos', 'MouseMove', 'MsgBox', 'OnExit', 'OutputDebug', 'PixelGetColor',
+    'PixelSearch', 'PostMessage', 'Process', 'Progress', 'Random', 'RegDelete', 'RegRead',
+    'RegWrite', 'Run', 'RunAs', 'RunWait', 'Send', 'SendEvent', 'SendInput', 'SendMessage',
+    'SendMode', 'SendPlay', 'SendRaw', 'SendText', 'SetBatchLines', 'SetCapsLockState',
+    'SetControlDelay', 'SetDefaultMouseSpeed', 'SetEnv', 'SetFormat', 'SetKeyDelay',
+    'SetMouseDelay', 'SetNumLockState', 'SetRegView', 'SetScrollLockState',
+    'SetStoreCapsLockMode', 'SetTimer', 'SetTitleMatchMode', 'SetWinDelay', 'SetWorkingDir',
+    'Shutdown', 'Sleep', 'Sort', 'SoundBeep', 'SoundGet', 'SoundPlay', 'SoundSet',
+    'SplashTextOff', 'SplashTextOn', 'SplitPath', 'StatusBarGetText', 'StatusBarWait',
+    'StringCaseSense', 'StringGetPos', 'StringLeft', 'StringLen', 'StringLower', 'StringMid',
+    'StringReplace', 'StringRight', 'StringSplit', 'StringTrimLeft', 'StringTrimRight',
+    'StringUpper', 'SysGet', 'Thread', 'ToolTip', 'Transform', 'TrayTip', 'UrlDownloadToFile',
+    'WinActivate', 'WinActivateBottom', 'WinClose', 'WinGet', 'WinGetActiveTitle',
+    'WinGetClass', 'WinGetPos', 'WinGetText', 'WinGetTitle', 'WinHide', 'WinKill',
+    'WinMaximize', 'WinMinimize', 'WinMinimizeAll', 'WinMove', 'WinRestore', 'WinSet',
+    'WinSetTitle', 'WinShow', 'WinWait', 'WinWaitActive', 'WinWaitClose', 'WinWaitNotActive',
+    # Functions often called as statements
+    'FileOpen', 'Format', 'InStr', 'MsgBox', 'NumGet', 'NumPut', 'ObjRelease', 'OnError',
+    'OnMessage', 'Print', 'RegExMatch', 'RegExReplace', 'StrGet', 'StrLen', 'StrPut',
+    'StrReplace', 'StrSplit', 'SubStr', 'VarSetCapacity',
+]
+
+DIRECTIVES = [
+    '#AllowSameLineComments', '#ClipboardTimeout', '#CommentFlag', '#DllLoad', '#ErrorStdOut',
+    '#EscapeChar', '#HotIf', '#HotIfTimeout', '#HotkeyInterval', '#HotkeyModifierTimeout',
+    '#Hotstring', '#If', '#IfTimeout', '#IfWinActive', '#IfWinExist', '#IfWinNotActive',
+    '#IfWinNotExist', '#Include', '#IncludeAgain', '#InputLevel', '#InstallKeybdHook',
+    '#InstallMouseHook', '#KeyHistory', '#MaxHotkeysPerInterval', '#MaxMem', '#MaxThreads',
+    '#MaxThreadsBuffer', '#MaxThreadsPerHotkey', '#MenuMaskKey', '#NoEnv', '#NoTrayIcon',
+    '#Persistent', '#Requires', '#SingleInstance', '#SuspendExempt', '#UseHook', '#Warn',
+    '#WinActivateForce',
+]
+
+CANONICAL = {name.lower(): name for name in CONTROL_FLOW + COMMANDS + DIRECTIVES}
+
+# Braceless bodies follow these (v1 `If...` commands included)
+HEADER_WORDS = {'if', 'else', 'loop', 'while', 'for', 'try', 'catch', 'finally', 'switch', 'class'} | {
+    name.lower() for name in COMMANDS if name.startswith('If')}
+
+# Keywords that can follow a block's closing brace on the same line
+CUDDLED = re.compile(r'(?:else|catch|finally)\b', re.I)
+
+# A line starting with one of these continues the line before it
+CONTINUATION = re.compile(r'(?:,|\.(?!\.)|&&|\|\||\?|:(?!=)|\+(?![+=])|-(?![-=])|\*(?!/)|/(?!\*)|(?:and|or)\b)', re.I)
+
+# Hotkeys (^a::, a & b::, ~LButton Up::) and hotstrings (::btw::, :*:x::)
+HOTKEY = re.compile(r'(?::[^:\s]*:[^:]+|[^\s:;]+(?:\s+&\s+[^\s:]+)?(?:\s+up)?)::', re.I)
+LABEL = re.compile(r'[^\s,:;(){}\[\]"\'=<>]+:$')
+
+# A `{` after these opens an object literal, not a block
+EXPRESSION_END = re.compile(r'(?:[(\[,=?+\-*/.&|!~<>^%]|(?<!:):|\breturn)$', re.I)
+
+OPENERS = {')': '(', ']': '[', '}': '{'}
+
+# A line of a script: kind is 'blank', 'comment', 'code', 'section' (the
+# ( and ) lines of a continuation section) or 'verbatim'
+Line = namedtuple('Line', ['kind', 'code', 'comment'])
+
+
+def format_ahk(code, version='v1', indent='\t', brace_style='preserve', normalize_case=True):
+    """Format an AutoHotkey script.
+
+    version is 'v1' or 'v2'; indent is the string for one level;
+    brace_style is 'preserve', 'otb' (`if x {`) or 'allman' (`{` on its own
+    line); normalize_case rewrites command, directive and keyword names in
+    their documented case (`msgbox` -> `MsgBox`)."""
+    if version not in ['v1', 'v2']:
+        raise ValueError('version must be v1 or v2')
+    if brace_style not in BRACE_STYLES:
+        raise ValueError(f'brace_style must be one of {", ".join(BRACE_STYLES)}')
+    v2 = version == 'v2'
+    newline = '\r\n' if '\r\n' in code else '\n'
+    lines = read_lines(code.replace('\r\n', '\n').split('\n'), v2)
+    if brace_style == 'otb':
+        lines = hug_braces(lines, v2)
+    elif brace_style == 'allman':
+        lines = break_braces(lines, v2)
+    return newline.join(Indenter(v2, indent, normalize_case).format(lines))
+
+
+def split_comment(line, v2):
+    """Split a line into its code and its comment (with the whitespace
+    before it), skipping `;` inside strings. Also returns the brackets in
+    the code, outside strings, as (index, char)."""
+    quote = None
+    brackets = []
+    i = 0
+    while i < len(line):
+        ch = line[i]
+        if ch == '`':
+            # Escaped character, in strings or out
+            i += 2
+            continue
+        if quote:
+            # v1 escapes quotes by doubling them, which closes and reopens
+            if ch == quote:
+                quote = None
+        elif ch == ';' and (i == 0 or line[i - 1] in ' \t'):
+            code = line[:i].rstrip()
+            return code, line[len(code):], brackets
+        elif ch == '"' or (v2 and ch == "'"):
+            quote = ch
+        elif ch in '()[]{}':
+            brackets.append((i, ch))
+        i += 1
+    return line.rstrip(), '', brackets
+
+
+def read_lines(raw_lines, v2):
+    """Classify each line. The contents of continuation sections and block
+    comments are 'verbatim'."""
+    lines = []
+    section = block_comment = False
+    for raw in raw_lines:
+        stripped = raw.strip()
+        if section:
+            if stripped.startswith(')'):
+                section = False
+                lines.append(Line('section', stripped, ''))
+            else:
+                lines.append(Line('verbatim', raw, ''))
+        elif block_comment:
+            block_comment = not (stripped.startswith('*/') or stripped.endswith('*/'))
+            lines.append(Line('verbatim', raw, ''))
+        elif not stripped:
+            lines.append(Line('blank', '', ''))
+        elif stripped.startswith('/*'):
+            block_comment = not stripped.endswith('*/') or stripped == '/*/'
+            lines.append(Line('verbatim', raw, ''))
+        elif stripped.startswith(';'):
+            lines.append(Line('comment', '', stripped))
+        elif stripped.startswith('(') and ')' not in stripped:
+            section = True
+            lines.append(Line('section', stripped, ''))
+        else:
+            code, comment, _ = split_comment(stripped, v2)
+            lines.append(Line('code', code, comment))
+    return lines
+
+
+def split_closers(code, v2):
+    """Split the closing brackets that start a line from the rest"""
+    match = re.match(r'[}\])](?:\s*[}\])])*' if v2 else r'}(?:\s*})*', code)
+    if not match:
+        return '', code
+    return match.group(), code[match.end():].lstrip()
+
+
+def opens_block(rest):
+    """Whether a line ends with a `{` that starts a block, rather than an
+    object literal"""
+    if not rest.endswith('{'):
+        return False
+    before = rest[:-1].rstrip()
+    return not before or before.endswith('::') or not EXPRESSION_END.search(before)
+
+
+def is_header(rest, v2):
+    """Whether a line is a control flow statement whose body may be the next
+    line, without braces"""
+    word = re.match(r'[\w#]*', rest).group().lower()
+    if word not in HEADER_WORDS:
+        return False
+    if word == 'else':
+        return bool(re.fullmatch(r'else(?:\s+if\b.*)?', rest, re.I))
+    if word in ['try', 'finally']:
+        return rest.lower() == word
+    if word == 'catch':
+        return bool(re.fullmatch(r'catch\b[\w\s,.()]*', rest, re.I))
+    return True
+
+
+def can_hug(rest, v2):
+    """Whether `{` can go at the end of this line. v1 can't take one after
+    commands, whose last parameter would swallow it."""
+    word = re.match(r'\w*', rest).group().lower()
+    if word in ['try', 'finally', 'catch']:
+        return is_header(rest, v2)
+    if word in ['while', 'for', 'class', 'switch']:
+        return True
+    if v2:
+        return word in ['if', 'else', 'loop'] or bool(
+            re.fullmatch(r'(?:static\s+)?[\w.]+(?:\(.*\)|\[.*\])?', rest) or HOTKEY.match(rest))
+    if word in ['if', 'else']:
+        # Not legacy `if var = value`, which would take `{` as part of value
+        return bool(re.fullmatch(r'(?:else|(?:else\s+)?if\s*\(.*\))', rest, re.I))
+    if word == 'loop':
+        return bool(re.fullmatch(r'loop(?:,?\s*(?:\d+|%\w+%))?', rest, re.I))
+    # Function definitions
+    return bool(re.fullmatch(r'\w+\(.*\)', rest))
+
+
+def hug_braces(lines, v2):
+    """One true brace style: `{` at the end of its statement, and `else`,
+    `catch` and `finally` after the `}` before them"""
+    result = []
+    for line in lines:
+        previous = result[-1] if result else None
+        if line.kind == 'code' and previous and previous.kind == 'code':
+            closers, rest = split_closers(previous.code, v2)
+            if line.code == '{' and not line.comment and rest and not rest.endswith('{') \
+                    and can_hug(rest, v2):
+                result[-1] = previous._replace(code=previous.code + ' {')
+                continue
+            if closers and not rest and not previous.comment and CUDDLED.match(line.code):
+                result[-1] = line._replace(code=f'{previous.code} {line.code}')
+                continue
+        result.append(line)
+    return result
+
+
+def break_braces(lines, v2):
+    """Allman style: `{` and `}` on lines of their own"""
+    result = []
+    for line in lines:
+        if line.kind != 'code':
+            result.append(line)
+            continue
+        closers, rest = split_closers(line.code, v2)
+        if closers.endswith('}') and rest and CUDDLED.match(rest):
+            result.append(Line('code', closers, ''))
+            line = line._replace(code=rest)
+            closers = ''
+        if not closers and rest != '{' and opens_block(rest):
+            result.append(line._replace(code=rest[:-1].rstrip()))
+            result.append(Line('code', '{', ''))
+        else:
+            result.append(line)
+    return result
+
+
+class Indenter:
+    """Works out each line's indentation from the lines before it"""
+
+    def __init__(self, v2, indent, normalize_case):
+        self.v2 = v2
+        self.indent = indent
+        self.normalize_case = normalize_case
+        # Open blocks and (v2) brackets: {'char', 'outer', 'inner', 'switch',
+        # 'headers'}, where headers are the braceless ones the block is inside
+        self.stack = []
+        # Braceless headers waiting for their body: {'word', 'level'}
+        self.pending = []
+        # Headers whose body the last statement finished, which a following
+        # else/catch/finally picks up again
+        self.finished = []
+        # In the body of a hotkey or label, which ends at `return`
+        self.label_body = False
+        self.after_label = False
+        # Indentation of the last statement, for continuation lines, and
+        # the statement itself
+        self.last_indent = 0
+        self.last_statement = ''
+
+    def format(self, lines):
+        output = []
+        for line in lines:
+            if line.kind == 'blank':
+                output.append('')
+            elif line.kind == 'verbatim':
+                output.append(line.code)
+            elif line.kind == 'comment':
+                output.append(self.pad(self.base() + self.pending_levels()) + line.comment)
+            elif line.kind == 'section':
+                # Indented with the statement the section belongs to
+                output.append(self.pad(self.last_indent) + line.code)
+            else:
+                level, code = self.code_line(line.code)
+                output.append(self.pad(level) + code + line.comment)
+        return output
+
+    def pad(self, level):
+        return self.indent * level
+
+    def in_brackets(self):
+        return bool(self.stack) and self.stack[-1]['char'] != 'block'
+
+    def pending_levels(self):
+        return 0 if self.in_brackets() else len(self.pending)
+
+    def base(self):
+        if not self.stack:
+            return 1 if self.label_body else 0
+        top = self.stack[-1]
+        return top['inner'] + (1 if top['switch'] else 0)
+
+    def code_line(self, code):
+        """Returns the line's indentation level and its code"""
+        closers, rest = split_closers(code, self.v2)
+        after_label, self.after_label = self.after_label, False
+
+        popped = None
+        for ch in re.sub(r'\s', '', closers):
+            top = self.stack[-1]['char'] if self.stack else None
+            if top == OPENERS[ch] or (ch == '}' and top == 'block'):
+                popped = self.stack.pop()
+                self.pending = []
+                self.finished = popped['headers']
+        in_brackets = self.in_brackets()
+        continuation = not popped and not in_brackets and CONTINUATION.match(rest) and not HOTKEY.match(rest)
+        owner = None
+        if not in_brackets and not continuation:
+            owner = self.resume(rest)
+
+        if popped:
+            level = popped['outer']
+        elif in_brackets:
+            level = self.base()
+        elif continuation:
+            level = self.last_indent + 1
+        elif not self.stack and (HOTKEY.match(rest) or LABEL.match(rest) or
+                                 re.match(r'#(?:If|HotIf)', rest, re.I)):
+            level = 0
+            self.pending = []
+            self.label_body = bool(HOTKEY.match(rest) and rest.endswith('::') or LABEL.match(rest))
+            self.after_label = self.label_body
+            self.last_indent = level
+            self.last_statement = rest
+            if opens_block(rest):
+                # v2 hotkey with its function body
+                self.stack.append({'char': 'block', 'outer': 0, 'inner': 1, 'switch': False,
+                                   'headers': []})
+            return level, code
+        elif rest == '{':
+            level = 0 if after_label else self.base() + max(len(self.pending) - 1, 0)
+            if after_label:
+                self.label_body = False
+        elif self.stack and self.stack[-1]['switch'] and re.match(r'(?:case\b|default\s*:)', rest, re.I):
+            level = self.stack[-1]['inner']
+        elif owner is not None:
+            level = owner
+        else:
+            level = self.base() + len(self.pending)
+
+        if self.normalize_case and not in_brackets and not continuation:
+            rest = normalize(rest)
+            code = code[:len(code) - len(rest)] + rest if closers else rest
+
+        block = not in_brackets and opens_block(rest)
+        header = self.last_statement
+        headers = self.pending
+        if not in_brackets and not continuation:
+            if block:
+                if rest != '{' and is_header(rest[:-1].rstrip(), self.v2):
+                    headers = headers + [header_entry(rest, level)]
+                self.pending = []
+            elif rest and is_header(rest, self.v2):
+                self.pending = self.pending + [header_entry(rest, level)]
+            elif rest:
+                if not self.stack and not self.pending and self.label_body and \
+                        re.match(r'return\b', rest, re.I):
+                    self.label_body = False
+                self.finished = self.pending
+                self.pending = []
+            self.last_indent = level
+            self.last_statement = rest
+
+        if self.v2:
+            # Brackets left open continue the statement on the next lines
+            _, _, brackets = split_comment(rest[:-1] if block else rest, True)
+            for _, ch in brackets:
+                if ch in OPENERS.values():
+                    self.stack.append({'char': ch, 'outer': level, 'inner': level + 1, 'switch': False,
+                                       'headers': []})
+                elif self.in_brackets():
+                    self.stack.pop()
+        if block:
+            # `{` on its own line belongs to the statement before
+            header = header if rest == '{' else rest
+            self.stack.append({'char': 'block', 'outer': level, 'inner': level + 1,
+                               'switch': bool(re.match(r'switch\b', header, re.I)),
+                               'headers': headers})
+        return level, code
+
+    def resume(self, rest):
+        """For else, catch and finally: reopen the braceless headers around
+        the if or try they belong to. Returns that statement's level, or None
+        for any other line."""
+        if not rest:
+            # A line of closers; the else may be next
+            return None
+        finished, self.finished = self.finished, []
+        match = CUDDLED.match(rest)
+        if not match:
+            return None
+        owners = ['if'] if match.group().lower() == 'else' else ['try', 'catch']
+        for i in reversed(range(len(finished))):
+            if finished[i]['word'] in owners:
+                self.pending = finished[:i]
+                return finished[i]['level']
+        return None
+
+
+def header_entry(rest, level):
+    """A braceless header, by the statement else/catch/finally pair with"""
+    word = 'if' if re.match(r'(?:else\s+)?if', rest, re.I) else re.match(r'\w*', rest).group().lower()
+    return {'word': word, 'level': level}
+
+
+def normalize(rest):
+    """Write the command, directive or keyword starting a statement in its
+    documented case, unless it's really a variable being assigned"""
+    def canonical(match):
+        name = CANONICAL.get(match.group(2).lower(), match.group(2))
+        prefix = match.group(1)
+        return (CANONICAL['else'] + prefix[4:] if prefix else '') + name
+
+    return re.sub(
+        r'^(else\s+)?(#?[A-Za-z_]\w*)(?=$|,|\(|\s+(?!\s|:=|\.=|\+=|-=|\*=|/=|=|\+\+|--))',
+        canonical, rest, count=1, flags=re.I)
@@ -0,0 +1,145 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""The AutoHotkey function libraries in ahk/Lib, behind the /libs routes.
+
+Scripts reach them with `#Include <Name>` (or, in v1, just by calling a
+function named after the file, like Jxon_Load). These are the files
+ListLibs() prints from inside a container; reading them here doesn't need
+one. Each library is described by the functions and classes it defines at
+the top level, with their parameter lists and the comments above them.
+"""
+
+import os
+import re
+from collections import namedtuple
+
+LIB_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'ahk', 'Lib')
+
+# Comment lines kept as a definition's doc
+MAX_DOC_LINES = 20
+
+DEFINITION = re.compile(r'([A-Za-z_$#@][\w$#@]*)\((.*)\)\s*(\{.*)?$')
+CLASS = re.compile(r'class\s+([\w.]+)(?:\s+extends\s+[\w.]+)?\s*(\{.*)?$', re.I)
+NOT_FUNCTIONS = {'if', 'while', 'for', 'loop', 'switch', 'catch', 'return', 'else'}
+
+# A function or class: kind is 'function' or 'class'; members are a
+# class's methods and nested classes
+Definition = namedtuple('Definition', ['name', 'kind', 'signature', 'line', 'doc', 'members'])
+
+
+def lib_path(name):
+    """The library file for `name`, matched without regard to case like
+    #Include <Name> does, or None"""
+    for file in list_files():
+        if os.path.splitext(file)[0].lower() == name.lower():
+            return os.path.join(LIB_DIR, file)
+    return None
+
+
+def list_files():
+    return sorted((f for f in os.listdir(LIB_DIR) if f.lower().endswith('.ahk')), key=str.lower)
+
+
+def describe(path, source=None):
+    """The library at `path`: {'name', 'file', 'include', 'functions'}"""
+    if source is None:
+        source = read_source(path)
+    file = os.path.basename(path)
+    name = os.path.splitext(file)[0]
+    return {
+        'name': name,
+        'file': file,
+        'include': f'#Include <{name}>',
+        'functions': [definition._asdict() for definition in parse_definitions(source)],
+    }
+
+
+def read_source(path):
+    with open(path, encoding='utf-8-sig') as f:
+        return f.read()
+
+
+def parse_definitions(source):
+    """Top-level functions and classes in AutoHotkey source"""
+    lines = source.replace('\r\n', '\n').split('\n')
+    definitions = []
+    depth = 0
+    in_comment = False
+    current_class = None
+    for i, raw in enumerate(lines):
+        stripped = raw.strip()
+        if in_comment:
+            in_comment = not stripped.startswith('*/') and '*/' not in stripped
+            continue
+        if stripped.startswith('/*'):
+            in_comment = '*/' not in stripped
+            continue
+        code, comment = strip_comment(stripped)
+        top = depth == 0 or (depth == 1 and current_class is not None)
+
+        if top and code:
+            match = DEFINITION.fullmatch(code)
+            cls = CLASS.fullmatch(code)
+            body_follows = (match and match.group(3)) or (cls and cls.group(2)) or \
+                next_code(lines, i + 1).startswith('{')
+            if match and match.group(1).lower() not in NOT_FUNCTIONS and body_follows:
+                if depth == 0:
+                    definitions.append(Definition(
+                        match.group(1), 'function', f'{match.group(1)}({match.group(2).strip()})',
+                        i + 1, doc_for(lines, i, comment), []))
+                else:
+                    current_class.members.append(f'{match.group(1)}({match.group(2).strip()})')
+            elif cls and body_follows:
+                if depth == 0:
+                    current_class = Definition(cls.group(1), 'class', code.rstrip('{ \t'), i + 1,
+                                               doc_for(lines, i, comment), [])
+                    definitions.append(current_class)
+                else:
+                    current_class.members.append(code.rstrip('{ \t'))
+
+        depth = max(0, depth + code.count('{') - code.count('}'))
+        if depth == 0 and '}' in code:
+            current_class = None
+    return definitions
+
+
+def strip_comment(line):
+    """Split a line into code, without strings, and its `;` comment"""
+    if line.startswith(';'):
+        return '', line[1:].strip()
+    code = re.sub(r'"(?:[^"]|"")*"', '""', line)
+    match = re.search(r'\s;', code)
+    if match:
+        return code[:match.start()].rstrip(), code[match.end():].strip()
+    return code, ''
+
+
+def next_code(lines, start):
+    for line in lines[start:]:
+        code, _ = strip_comment(line.strip())
+        if code:
+            return code
+    return ''
+
+
+def doc_for(lines, index, trailing):
+    """The comment block right above line `index`, or the comment at the
+    end of that line"""
+    doc = []
+    i = index - 1
+    if i >= 0 and lines[i].strip().endswith('*/'):
+        while i >= 0:
+            doc.insert(0, lines[i].strip())
+            if lines[i].strip().startswith('/*'):
+                break
+            i -= 1
+        doc = [re.sub(r'^(?:/\*+|\*+/?|\*/)\s?', '', line).rstrip('*/ ') for line in doc]
+    else:
+        while i >= 0 and lines[i].strip().startswith(';'):
+            doc.insert(0, lines[i].strip().lstrip(';').strip())
+            i -= 1
+    # Without rules like ;=====
+    doc = [line for line in doc if line.strip('=-*#; ')]
+    if not doc and trailing:
+        doc = [trailing]
+    return '\n'.join(doc[-MAX_DOC_LINES:]) or None
@@ -2,17 +2,33 @@
 # -*- coding: utf-8 -*-
 
 import asyncio
+import base64
+import codecs
+import hmac
+import io
+import json
 import logging
+import math
 import os
 import random
+import secrets
+import shlex
+import tarfile
 import time
-from subprocess import PIPE, Popen, TimeoutExpired, run
+from collections import namedtuple
+from subprocess import DEVNULL, PIPE
 
 import verboselogs
 from fastapi import FastAPI
 from fastapi.requests import Request
-from fastapi.responses import JSONResponse, RedirectResponse
+from fastapi.responses import (JSONResponse, PlainTextResponse, RedirectResponse,
+                                StreamingResponse)
+from starlette.background import BackgroundTask
 
+import ahkfmt
+import ahklib
+import benchmarks
+import quotas
 from config import DESCRIPTION, TITLE, VERSION
 
 # --- Constants ---
@@ -23,7 +39,37 @@ cloudapi = FastAPI(
     version=VERSION
 )
 
-CONTAINERS = 1
+# Container pool: POOL_MIN warm containers are kept idle, and no more than
+# POOL_MAX exist at once (idle, starting or running a script). A request
+# that finds all POOL_MAX busy waits up to POOL_MAX_WAIT seconds for one.
+POOL_MIN = int(os.getenv('CLOUDAHK_POOL_MIN', 1))
+POOL_MAX = int(os.getenv('CLOUDAHK_POOL_MAX', 4))
+POOL_MAX_WAIT = float(os.getenv('CLOUDAHK_POOL_MAX_WAIT', 10.0))
+# How often idle containers are checked, dropping any that have died
+POOL_HEALTH_INTERVAL = float(os.getenv('CLOUDAHK_POOL_HEALTH_INTERVAL', 30.0))
+# Longest `docker run` may take before the allocation counts as failed
+ALLOC_TIMEOUT = 30
+
+# Upper bounds of the /metrics latency histogram buckets, in seconds
+LATENCY_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 30, 60]
+
+# Per-request resource limits. Clients may ask for less or more than the
+# default, up to the maximum (seconds / megabytes).
+DEFAULT_TIMEOUT = float(os.getenv('CLOUDAHK_DEFAULT_TIMEOUT', 7.0))
+MAX_TIMEOUT = float(os.getenv('CLOUDAHK_MAX_TIMEOUT', 60.0))
+DEFAULT_MEMORY = int(os.getenv('CLOUDAHK_DEFAULT_MEMORY', 100))
+MAX_MEMORY = int(os.getenv('CLOUDAHK_MAX_MEMORY', 512))
+MIN_MEMORY = 16
+
+# How often a running script's windows are checked for blocking dialogs
+DIALOG_PROBE_INTERVAL = float(os.getenv('CLOUDAHK_DIALOG_PROBE_INTERVAL', 2.0))
+
+# Window classes of dialogs a script can't get past on its own: MsgBox,
+# InputBox, file pickers, error and warning dialogs
+DIALOG_CLASSES = ['#32770']
+
+# Lists the windows on the desktop scripts run on (see ahk/ListWindows.ahk)
+WINDOW_PROBE = 'wine64 explorer /desktop=shell,800x600 Z:/ahk/AutoHotkeyU64.exe /CP65001 Z:/ahk/ListWindows.ahk'
 
 CWD = os.getcwd()
 
@@ -36,19 +82,157 @@ LANGUAGES = {
     'unix': 'tee tmp.bin &>/dev/null && chmod +x tmp.bin &>/dev/null && ./tmp.bin 2>&1 ; wineboot -k'
 }
 
+# The same, for JSON requests: the script is a file in /tmp next to the
+# request's files, and stdin is free for the request's stdin
+SCRIPT_LANGUAGES = {
+    'ahk': 'wine64 explorer /desktop=shell,800x600 Z:/ahk/AutoHotkeyU64.exe /ErrorStdOut /CP65001 {script} {args} < {stdin} 2>&1 ; wineboot -k',
+    'ahk2': 'wine64 explorer /desktop=shell,800x600 Z:/ahk/v2/AutoHotkeyU64.exe /ErrorStdOut /CP65001 {script} {args} < {stdin} 2>&1 ; wineboot -k',
+    'rlx': 'sh /ahk/relax/compile_and_run.sh < {script} ; wineboot -k',
+    'unix': './{script} {args} < {stdin} 2>&1 ; wineboot -k'
+}
+
+# Load the script without running it: v1 writes the libraries it would
+# auto-include (to NUL), v2 validates. Either way load-time errors are
+# printed and nothing in the script executes.
+LINT_LANGUAGES = {
+    'ahk': 'wine64 explorer /desktop=shell,800x600 Z:/ahk/AutoHotkeyU64.exe /ErrorStdOut /iLib NUL /CP65001 \* 2>&1 ; wineboot -k',
+    'ahk2': 'wine64 explorer /desktop=shell,800x600 Z:/ahk/v2/AutoHotkeyU64.exe /ErrorStdOut /Validate /CP65001 \* 2>&1 ; wineboot -k',
+}
+
+SCRIPT_NAMES = {'ahk': 'script.ahk', 'ahk2': 'script.ahk', 'rlx': 'script.rlx', 'unix': 'script'}
+STDIN_NAME = '.stdin'
+
+# Interpreters unix scripts can name, as in `#!/usr/bin/env python3`;
+# /languages lists the ones installed in the image
+UNIX_INTERPRETERS = ['sh', 'bash', 'zsh', 'fish', 'python3', 'python2', 'perl', 'node', 'php7']
+# Seconds before a failed lookup of the installed ones is tried again
+INTERPRETERS_RETRY = 60.0
+
+# How each of the other languages runs, for /languages
+LANGUAGE_DESCRIPTIONS = {
+    'ahk': 'AutoHotkey v1.1, under Wine',
+    'ahk2': 'AutoHotkey v2, under Wine',
+    'rlx': 'Relax, compiled to a Linux executable and run',
+}
+
+# AutoHotkey version /format formats each language as
+FORMAT_VERSIONS = {'ahk': 'v1', 'ahk2': 'v2'}
+
+# Sessions keep a container (and the files in its /tmp) for a series of
+# runs, until they are closed or sit idle for SESSION_TTL seconds. Each
+# holds one of the POOL_MAX containers, so at most MAX_SESSIONS are open.
+SESSION_TTL = float(os.getenv('CLOUDAHK_SESSION_TTL', 300.0))
+MAX_SESSIONS = int(os.getenv('CLOUDAHK_MAX_SESSIONS', max(1, POOL_MAX // 2)))
+
+# How every command above ends: stopping Wine ends the container's main
+# process, so containers are used once. Session runs leave it running.
+WINE_SHUTDOWN = ' ; wineboot -k'
+
+# Most file content returned from one run, in bytes
+MAX_RETURNED_FILES = int(os.getenv('CLOUDAHK_MAX_RETURNED_FILES', 1024 * 1024))
+
+# Default quotas for each API key: runs started per minute and runs at the
+# same time (0 for no limit). Keys in CLOUDAHK_API_KEYS_FILE can override them.
+RATE_LIMIT = int(os.getenv('CLOUDAHK_RATE_LIMIT', 60))
+MAX_CONCURRENT = int(os.getenv('CLOUDAHK_MAX_CONCURRENT', 2))
+
+RunResult = namedtuple('RunResult', ['timed_out', 'output', 'screenshot', 'dialogs', 'files'])
+
+# Arguments, stdin and files sent with a JSON request
+Workspace = namedtuple('Workspace', ['args', 'stdin', 'files'])
+
+
+class PoolUnavailable(Exception):
+    """No container could be had for a request: all POOL_MAX stayed busy for
+    POOL_MAX_WAIT seconds, or Docker failed to start one"""
+
+
+class Session:
+    """A container kept for one API key's runs"""
+
+    def __init__(self, key, container, memory):
+        self.id = secrets.token_hex(8)
+        self.key = key
+        self.container = container
+        self.memory = memory
+        # What is in the container's /tmp, as far as runs have shown: files
+        # sent or written, by path
+        self.files = {}
+        self.runs = 0
+        self.last_used = time.monotonic()
+        # Held while a script runs; one runs at a time
+        self.lock = asyncio.Lock()
+
+
+class Histogram:
+    """Prometheus histogram, one series per label value"""
+
+    def __init__(self, buckets):
+        self.buckets = buckets
+        self.series = {}
+
+    def observe(self, label, value):
+        series = self.series.setdefault(label, {'counts': [0] * len(self.buckets), 'sum': 0.0, 'count': 0})
+        for i, bound in enumerate(self.buckets):
+            if value <= bound:
+                series['counts'][i] += 1
+        series['sum'] += value
+        series['count'] += 1
+
+    def render(self, name, label_name=None):
+        lines = []
+        for label, series in sorted(self.series.items()):
+            labels = f'{label_name}="{label}",' if label_name else ''
+            for bound, count in zip(self.buckets, series['counts']):
+                lines.append(f'{name}_bucket{{{labels}le="{bound:g}"}} {count}')
+            lines.append(f'{name}_bucket{{{labels}le="+Inf"}} {series["count"]}')
+            labels = f'{{{labels[:-1]}}}' if labels else ''
+            lines.append(f'{name}_sum{labels} {series["sum"]:.6f}')
+            lines.append(f'{name}_count{labels} {series["count"]}')
+        return lines
+
+
 # --- Globals ---
 
 
+# Warm containers ready for a request
 _container_pool = []
+# Containers being started, and handed out to requests
+_containers_starting = 0
+_containers_busy = 0
+# Requests waiting for a container
+_pool_waiting = 0
+# Notified whenever a container becomes idle or one is freed up
+_pool_changed = asyncio.Condition()
+
+_run_latency = Histogram(LATENCY_BUCKETS)
+_queue_wait = Histogram(LATENCY_BUCKETS)
+_counters = {
+    'runs': {},                 # By language
+    'timeouts': {},             # By language
+    'allocation_failures': 0,
+    'evicted': 0,
+    'rejected': 0,              # Gave up waiting for a container
+}
+
+# UNIX_INTERPRETERS found in the image, by name, once looked up; when the
+# last lookup failed; and held while one runs, so requests share it
+_interpreters = None
+_interpreters_failed = None
+_interpreters_lock = asyncio.Lock()
+
+# Open sessions by id, and sessions waiting for their container
+_sessions = {}
+_sessions_opening = 0
 
 
 # --- Helper Functions ---
 
 
-async def alloc_container(enter_pool=True):
-    global _container_pool
+async def alloc_container():
+    """Start a container. Returns its name, or None if Docker failed to."""
     name = f'ahk_{random.randint(0,0xFFFFFFFF):08x}'
-    Popen([
+    p = await asyncio.create_subprocess_exec(
         'docker', 'run',
         '--name', name,
         '--init',
@@ -57,34 +241,212 @@ async def alloc_container(enter_pool=True):
         '--network=none',           # Disallow networking inside the container
         '--cpus=1',                 # Max CPU usage, 100% of one core
         '--cap-drop=ALL',           # Disallow most "linux capabilities"
-        '--memory=100m',            # Limit container memory to 500MB
-        '--memory-swap=100m',       # Don't allow any swap memory
+        f'--memory={DEFAULT_MEMORY}m',       # Limit container memory
+        f'--memory-swap={DEFAULT_MEMORY}m',  # Don't allow any swap memory
         '-e', 'DISPLAY=:0',         # Use display 0 inside the container
         '-v', f'{CWD}/ahk:/ahk:ro',  # Map AHK folder into contianer
         IMAGE_NAME,                 # Use image tagged 'ahk'
         '/bin/sh', '-c',            # Run via sh inside the container
         'Xvfb -screen 0 800x600x24 &>/dev/null & ' +     # Start X server
         # 'openbox & ' +              # Start Openbox
-        'wine64 explorer'
-    ])
-    # await asyncio.sleep(0.1)
+        'wine64 explorer',
+        stdout=DEVNULL, stderr=PIPE)
+    try:
+        _, err = await asyncio.wait_for(p.communicate(), ALLOC_TIMEOUT)
+    except asyncio.TimeoutError:
+        p.kill()
+        await p.wait()
+        err = b'timed out'
+    if p.returncode != 0:
+        _counters['allocation_failures'] += 1
+        log.error(f'container {name} failed to start: {err.decode("utf-8", "replace").strip()}')
+        return None
     log.verbose(f'container made: {name}')
-    if enter_pool:
+    return name
+
+
+async def run_docker(*args, input=None, timeout=5):
+    """Run a docker command without holding up the event loop. Returns its
+    (returncode, stdout, stderr); raises asyncio.TimeoutError, with the
+    command killed, if it takes over timeout seconds."""
+    p = await asyncio.create_subprocess_exec(
+        'docker', *args,
+        stdin=DEVNULL if input is None else PIPE, stdout=PIPE, stderr=PIPE)
+    try:
+        out, err = await asyncio.wait_for(p.communicate(input), timeout)
+    except asyncio.TimeoutError:
+        p.kill()
+        await p.wait()
+        raise
+    return p.returncode, out, err
+
+
+async def stop_container(name, timeout=5):
+    """Stop a container, which removes it"""
+    try:
+        await run_docker('stop', '-t=0', name, timeout=timeout)
+    except asyncio.TimeoutError:
+        log.warning(f'container {name} did not stop')
+
+
+def pool_size():
+    """Containers that exist or are on the way, idle or not"""
+    return len(_container_pool) + _containers_starting + _containers_busy
+
+
+async def notify_pool():
+    async with _pool_changed:
+        _pool_changed.notify_all()
+
+
+async def fill_pool():
+    """Start containers until POOL_MIN are idle (or starting), staying within
+    POOL_MAX in all"""
+    global _containers_starting
+    while len(_container_pool) + _containers_starting < POOL_MIN and pool_size() < POOL_MAX:
+        _containers_starting += 1
+        try:
+            name = await alloc_container()
+        finally:
+            _containers_starting -= 1
+        if name is None:
+            # Leave it to the next health check rather than hammer Docker
+            break
         _container_pool.append(name)
-    else:
-        return name
+        await notify_pool()
+
+
+async def check_pool():
+    """Drop idle containers that are no longer running"""
+    for name in list(_container_pool):
+        p = await asyncio.create_subprocess_exec(
+            'docker', 'inspect', '-f', '{{.State.Running}}', name,
+            stdout=PIPE, stderr=DEVNULL)
+        try:
+            out, _ = await asyncio.wait_for(p.communicate(), 5)
+        except asyncio.TimeoutError:
+            # Docker is slow, not necessarily the container
+            p.kill()
+            await p.wait()
+            continue
+        if out.strip() != b'true' and name in _container_pool:
+            log.warning(f'container {name} died, evicting it')
+            _container_pool.remove(name)
+            _counters['evicted'] += 1
+            try:
+                await run_docker('rm', '-f', name)
+            except asyncio.TimeoutError:
+                log.warning(f'container {name} could not be removed')
 
 
-async def run_code(code, language, timeout=7.0):
-    global _container_pool
+async def find_interpreters():
+    """Paths of the UNIX_INTERPRETERS installed in the image, by name.
+    Looked up in a throwaway container the first time; None if that
+    failed, and it's not tried again for INTERPRETERS_RETRY seconds."""
+    global _interpreters, _interpreters_failed
+    async with _interpreters_lock:
+        if _interpreters is not None:
+            return _interpreters
+        if _interpreters_failed is not None and time.monotonic() - _interpreters_failed < INTERPRETERS_RETRY:
+            return None
+        _interpreters = await look_up_interpreters()
+        if _interpreters is None:
+            _interpreters_failed = time.monotonic()
+        return _interpreters
+
+
+async def look_up_interpreters():
+    """Ask a throwaway container where the interpreters are. Returns None
+    if it couldn't be run."""
+    script = ' ; '.join(
+        f'printf "%s %s\\n" {shlex.quote(name)} "$(command -v {shlex.quote(name)})"'
+        for name in UNIX_INTERPRETERS)
+    p = await asyncio.create_subprocess_exec(
+        'docker', 'run', '--rm', '--network=none', IMAGE_NAME, '/bin/sh', '-c', script,
+        stdout=PIPE, stderr=DEVNULL)
     try:
-        name = _container_pool.pop(0)
-    except IndexError as e:
-        log.error(e)
-        name = await alloc_container(False)
+        out, _ = await asyncio.wait_for(p.communicate(), ALLOC_TIMEOUT)
+    except asyncio.TimeoutError:
+        p.kill()
+        await p.wait()
+        return None
+    if p.returncode != 0:
+        return None
+    found = {}
+    for line in out.decode('utf-8', 'replace').splitlines():
+        name, _, path = line.partition(' ')
+        if path.strip():
+            found[name] = path.strip()
+    return found
+
+
+async def acquire_container(memory=DEFAULT_MEMORY):
+    """Take a warm container, starting one if none is idle. With POOL_MAX
+    already in use, waits up to POOL_MAX_WAIT seconds for one to be freed.
+    Raises PoolUnavailable if none can be had; otherwise the container must
+    be handed back with release_container()."""
+    global _containers_busy, _pool_waiting
+    start_time = time.perf_counter()
+    _pool_waiting += 1
+    try:
+        async with _pool_changed:
+            await asyncio.wait_for(_pool_changed.wait_for(
+                lambda: _container_pool or pool_size() < POOL_MAX), POOL_MAX_WAIT)
+            name = _container_pool.pop(0) if _container_pool else None
+            _containers_busy += 1
+    except asyncio.TimeoutError:
+        _counters['rejected'] += 1
+        raise PoolUnavailable(f'All {POOL_MAX} containers stayed busy for {POOL_MAX_WAIT:g} seconds')
+    finally:
+        _pool_waiting -= 1
+    _queue_wait.observe(None, time.perf_counter() - start_time)
 
-    # Run Docker
-    p = Popen([
+    # Make up for the one just taken
+    asyncio.ensure_future(fill_pool())
+    if name is None:
+        log.info('no warm container, starting one')
+        name = await alloc_container()
+        if name is None:
+            await release_container()
+            raise PoolUnavailable('Could not start a container')
+
+    if memory != DEFAULT_MEMORY:
+        # Containers are used once, so resizing this one doesn't leak into
+        # later requests
+        try:
+            await run_docker('update', f'--memory={memory}m', f'--memory-swap={memory}m', name)
+        except asyncio.TimeoutError:
+            log.warning(f'container {name} kept the default memory limit')
+    return name
+
+
+async def release_container():
+    """Hand back a container from acquire_container(). Containers are used
+    once and remove themselves, so this frees up room for a new one."""
+    global _containers_busy
+    _containers_busy -= 1
+    await notify_pool()
+    asyncio.ensure_future(fill_pool())
+
+
+def record_run(language, elapsed, timed_out):
+    _run_latency.observe(language, elapsed)
+    _counters['runs'][language] = _counters['runs'].get(language, 0) + 1
+    if timed_out:
+        _counters['timeouts'][language] = _counters['timeouts'].get(language, 0) + 1
+
+
+def exec_command(name, language, workspace=None, lint=False, keep=False):
+    """With keep, Wine is left running so the container can run more"""
+    command = LINT_LANGUAGES[language] if lint else LANGUAGES[language]
+    if workspace:
+        command = SCRIPT_LANGUAGES[language].format(
+            script=SCRIPT_NAMES[language],
+            args=' '.join(shlex.quote(arg) for arg in workspace.args),
+            stdin=STDIN_NAME)
+    if keep and command.endswith(WINE_SHUTDOWN):
+        command = command[:-len(WINE_SHUTDOWN)]
+    return [
         'docker', 'exec',
         '-i',
         '-e', 'DISPLAY=:0',
@@ -92,46 +454,351 @@ async def run_code(code, language, timeout=7.0):
         '-w', '/tmp',
         name,
         '/bin/sh', '-c',
-        LANGUAGES[language]
-    ], stdin=PIPE, stdout=PIPE)
+        command
+    ]
+
+
+async def upload_workspace(name, code, language, workspace):
+    """Copy the script, its stdin and the request's files into the
+    container's /tmp"""
+    files = dict(workspace.files)
+    files[SCRIPT_NAMES[language]] = code.encode('utf-8')
+    files[STDIN_NAME] = workspace.stdin.encode('utf-8')
+
+    dirs = set()
+    for path in files:
+        while os.path.dirname(path):
+            path = os.path.dirname(path)
+            dirs.add(path)
+
+    # Copied files belong to root, and the script runs as an unprivileged
+    # user who must be able to change them, write next to them, and run
+    # the script directly
+    archive = io.BytesIO()
+    with tarfile.open(fileobj=archive, mode='w') as tar:
+        for path in sorted(dirs):
+            info = tarfile.TarInfo(path)
+            info.type = tarfile.DIRTYPE
+            info.mode = 0o777
+            tar.addfile(info)
+        for path, data in files.items():
+            info = tarfile.TarInfo(path)
+            info.size = len(data)
+            info.mode = 0o777 if path == SCRIPT_NAMES[language] else 0o666
+            info.mtime = time.time()
+            tar.addfile(info, io.BytesIO(data))
+
+    await run_docker('cp', '-', f'{name}:/tmp', input=archive.getvalue(), timeout=10)
+
+
+async def collect_files(name, language, workspace, known=None):
+    """Files in the container's /tmp that the script created or changed,
+    as {path: bytes}. Unchanged means as sent with the workspace, or as in
+    `known` when given."""
+    known = workspace.files if known is None else known
+    try:
+        _, out, _ = await run_docker('cp', f'{name}:/tmp', '-', timeout=10)
+        tar = tarfile.open(fileobj=io.BytesIO(out), mode='r')
+    except (asyncio.TimeoutError, tarfile.TarError) as e:
+        log.warning(f'collecting files failed: {e!r}')
+        return {}
 
+    files = {}
+    total = 0
+    with tar:
+        for member in tar:
+            # Entries are named tmp/<path>
+            path = member.name.partition('/')[2]
+            # A session's earlier runs may have left scripts in other languages
+            if not member.isfile() or not path or path in SCRIPT_NAMES.values() \
+                    or any(part.startswith('.') for part in path.split('/')):
+                continue
+            data = tar.extractfile(member).read()
+            if known.get(path) == data:
+                continue
+            total += len(data)
+            if total > MAX_RETURNED_FILES:
+                log.warning(f'not returning {path}: files over {MAX_RETURNED_FILES} bytes')
+                continue
+            files[path] = data
+    return files
+
+
+async def capture_screen(name):
+    """PNG of the container's virtual display, or None if it couldn't be
+    taken"""
+    try:
+        returncode, out, err = await run_docker(
+            'exec',
+            '-e', 'DISPLAY=:0',
+            name,
+            'import', '-window', 'root', 'png:-')
+    except asyncio.TimeoutError:
+        return None
+    if returncode != 0 or not out:
+        log.warning(f'screenshot failed: {err}')
+        return None
+    return out
+
+
+async def list_windows(name, time_left=5):
+    """Visible top-level windows on the container's Wine desktop, as dicts
+    with class, title, text and process. Gives up (with none) after
+    time_left seconds, or 5 at most."""
     try:
-        output = p.communicate(code.encode(
-            'utf-8'), timeout)[0]  # .decode('utf-8')
-        return (0, output)
-    except TimeoutExpired:
-        # Handle timeouts
-        run(['/usr/bin/docker', 'stop', '-t=0', name], timeout=1)
-        return (1, p.communicate()[0])  # .decode('utf-8'))
+        _, out, _ = await run_docker(
+            'exec',
+            '-e', 'DISPLAY=:0',
+            '-e', 'WINEDEBUG=-all',
+            name,
+            '/bin/sh', '-c', WINDOW_PROBE, timeout=min(time_left, 5))
+        windows = json.loads(out.decode('utf-8-sig', 'replace') or '[]')
+    except (asyncio.TimeoutError, ValueError) as e:
+        log.warning(f'window probe failed: {e!r}')
+        return []
+    return windows if isinstance(windows, list) else []
+
+
+def find_dialogs(windows):
+    return [w for w in windows if w.get('class') in DIALOG_CLASSES]
+
+
+async def run_code(code, language, timeout=DEFAULT_TIMEOUT, memory=DEFAULT_MEMORY,
+                   screenshot=False, screenshot_delay=None, workspace=None, session=None,
+                   name=None):
+    """With screenshot, the display is captured after screenshot_delay
+    seconds, or when the script exits or is killed if there's no delay (or
+    the script ends first).
+
+    While the script runs, its windows are checked every
+    DIALOG_PROBE_INTERVAL seconds, within the timeout. A dialog stops the
+    script early and is reported as blocking it; other windows, such as a
+    Gui waiting for input, are left to time out.
+
+    With a workspace, the script runs from a file among the workspace's
+    files, and the files it writes are returned.
+
+    In a session, the script runs in the session's container, which is
+    left running for the next unless the script had to be stopped.
+    Otherwise `name` is a container already acquired for it, if any."""
+    if session:
+        name = session.container
+    elif name is None:
+        name = await acquire_container(memory)
+    p = None
+    try:
+        if workspace:
+            await upload_workspace(name, code, language, workspace)
+
+        # Run Docker
+        p = await asyncio.create_subprocess_exec(
+            *exec_command(name, language, workspace, keep=session is not None),
+            stdin=PIPE, stdout=PIPE)
+        # Left running through the checks below, so none of the output is lost
+        communicate = asyncio.ensure_future(
+            p.communicate(b'' if workspace else code.encode('utf-8')))
+
+        start_time = time.perf_counter()
+        next_probe = DIALOG_PROBE_INTERVAL
+        png = None
+        delayed_shot = screenshot and screenshot_delay is not None
+        dialogs = []
+        while True:
+            checkpoints = [timeout, next_probe]
+            if delayed_shot:
+                checkpoints.append(screenshot_delay)
+            wait = min(checkpoints) - (time.perf_counter() - start_time)
+            done, _ = await asyncio.wait([communicate], timeout=max(wait, 0))
+            if done:
+                break
+
+            elapsed = time.perf_counter() - start_time
+            if delayed_shot and elapsed >= screenshot_delay:
+                delayed_shot = False
+                png = await capture_screen(name)
+            if elapsed >= timeout:
+                break
+            if elapsed >= next_probe:
+                next_probe += DIALOG_PROBE_INTERVAL
+                dialogs = find_dialogs(await list_windows(name, timeout - elapsed))
+                if dialogs:
+                    break
+
+        stopped = not communicate.done()
+        if screenshot and png is None:
+            png = await capture_screen(name)
+        # Before stopping, which removes the container
+        files = None
+        if workspace:
+            # A session's files as they are after this run's were written
+            known = {**session.files, **workspace.files} if session else None
+            files = await collect_files(name, language, workspace, known)
+
+        if stopped:
+            # Timed out or blocked
+            await stop_container(name)
+            output = (await communicate)[0]  # .decode('utf-8'))
+            return RunResult(not dialogs, output, png, dialogs, files)
+        output = communicate.result()[0]  # .decode('utf-8')
+        return RunResult(False, output, png, [], files)
+    except BaseException:
+        # Failed partway (say a docker cp timed out) or cancelled: the
+        # container can't be used again, and would otherwise never stop
+        if session is None:
+            await stop_container(name)
+        raise
     finally:
-        await alloc_container()
+        if p is not None and p.returncode is None:
+            p.kill()
+        if session is None:
+            await release_container()
 
 
-@cloudapi.get('/')
-def root():
-    return {'text': 'I\'m an api beep boop.'}
+async def close_session(session):
+    """Stop a session's container and free its place in the pool and in
+    its key's concurrency quota"""
+    if _sessions.pop(session.id, None) is None:
+        return
+    await stop_container(session.container)
+    await release_container()
+    release_quota(session.key)
+    log.verbose(f'session {session.id} closed after {session.runs} runs')
 
 
-@cloudapi.get('/containers')
-def container_amt():
-    global _container_pool
-    return {'num': len(_container_pool)}
+async def expire_sessions():
+    """Close sessions idle for SESSION_TTL seconds"""
+    now = time.monotonic()
+    for session in list(_sessions.values()):
+        if not session.lock.locked() and now - session.last_used >= SESSION_TTL:
+            await close_session(session)
 
 
-@cloudapi.post('/format/{langauge}')
-async def format_code(language: str, request: Request):
-    if language != 'ahk':
-        return JSONResponse(status_code=404, content={"message": "Unsupported language."})
+def session_info(session):
+    return {
+        'id': session.id,
+        'memory': session.memory,
+        'ttl': SESSION_TTL,
+        'runs': session.runs,
+        # Files in /tmp that runs sent or wrote
+        'files': sorted(session.files),
+    }
 
 
-@cloudapi.post('/{language}/run')
-async def run_lang(language: str, request: Request):
-    code = await request.body()
-    code = code.decode('utf-8')
-    log.info('Received code', code)
+async def lint_code(code, language, timeout=DEFAULT_TIMEOUT, memory=DEFAULT_MEMORY):
+    """Load code without running it. Returns (timed_out, output)."""
+    name = await acquire_container(memory)
+    try:
+        p = await asyncio.create_subprocess_exec(
+            *exec_command(name, language, lint=True), stdin=PIPE, stdout=PIPE)
+        communicate = asyncio.ensure_future(p.communicate(code.encode('utf-8')))
+        done, _ = await asyncio.wait([communicate], timeout=timeout)
+        if done:
+            return False, communicate.result()[0]
+        await stop_container(name)
+        return True, (await communicate)[0]
+    finally:
+        await release_container()
+
+
+async def stream_code(code, language, timeout=DEFAULT_TIMEOUT, memory=DEFAULT_MEMORY,
+                      screenshot=False, screenshot_delay=None, workspace=None, name=None):
+    """Like run_code, but yields ('stdout', bytes) as output arrives, then
+    ('screenshot', png) if one was asked for, ('dialogs', windows) if the
+    script was blocked, ('files', files) with a workspace, and finally
+    ('exit', timed_out). `name` is a container already acquired for it."""
+    if name is None:
+        name = await acquire_container(memory)
+    p = None
+    delayed = None
+    try:
+        if workspace:
+            await upload_workspace(name, code, language, workspace)
+        p = await asyncio.create_subprocess_exec(
+            *exec_command(name, language, workspace), stdin=PIPE, stdout=PIPE)
+
+        if screenshot and screenshot_delay is not None:
+            async def capture_later():
+                await asyncio.sleep(screenshot_delay)
+                return await capture_screen(name)
+            delayed = asyncio.create_task(capture_later())
+
+        p.stdin.write(b'' if workspace else code.encode('utf-8'))
+        await p.stdin.drain()
+        p.stdin.close()
+
+        start_time = time.perf_counter()
+        next_probe = DIALOG_PROBE_INTERVAL
+        stopped = False
+        dialogs = []
+        read = asyncio.ensure_future(p.stdout.read(4096))
+        while True:
+            elapsed = time.perf_counter() - start_time
+            done, _ = await asyncio.wait(
+                [read], timeout=max(min(timeout, next_probe) - elapsed, 0))
+            if done:
+                chunk = read.result()
+                if not chunk:
+                    break
+                yield ('stdout', chunk)
+                read = asyncio.ensure_future(p.stdout.read(4096))
+                continue
+
+            elapsed = time.perf_counter() - start_time
+            if elapsed >= timeout:
+                stopped = True
+                break
+            if elapsed >= next_probe:
+                next_probe += DIALOG_PROBE_INTERVAL
+                dialogs = find_dialogs(await list_windows(name, timeout - elapsed))
+                if dialogs:
+                    stopped = True
+                    break
+
+        png = None
+        if delayed and delayed.done():
+            png = delayed.result()
+        elif screenshot:
+            # The script finished (or hung) before the delay
+            if delayed:
+                delayed.cancel()
+            png = await capture_screen(name)
+        files = None
+        if workspace:
+            # Before stopping, which removes the container
+            files = await collect_files(name, language, workspace)
+
+        if stopped:
+            # Handle timeouts, keeping whatever was printed before the kill
+            await stop_container(name)
+            rest = await read
+            rest += await p.stdout.read()
+            if rest:
+                yield ('stdout', rest)
+        await p.wait()
+        if screenshot:
+            yield ('screenshot', png)
+        if dialogs:
+            yield ('dialogs', dialogs)
+        if workspace:
+            yield ('files', files)
+        yield ('exit', stopped and not dialogs)
+    finally:
+        if delayed:
+            delayed.cancel()
+        if p is not None and p.returncode is None:
+            p.kill()
+        await release_container()
+
+
+def prepare_code(language, code, benchmark=False):
+    """Add the preamble for the language to the code, and with benchmark the
+    marks timing the script body. Returns the code, the reported language,
+    the LANGUAGES key to run it with, and the preamble."""
     legacy_language = language
+    preamble = ''
     if not language.lower() in ['ahk', 'ahk2', 'rlx']:
-        code = f'#!/usr/bin/env {language}\n' + code
+        preamble = f'#!/usr/bin/env {language}\n'
+        code = preamble + code
     if code.startswith('#!'):
         check_lang = code.lstrip().lstrip(
             '#!/usr/bin/env').splitlines(1)[0].strip()
@@ -140,25 +807,691 @@ async def run_lang(language: str, request: Request):
         legacy_language = 'unix'
     log.debug(language)
     if legacy_language in ['ahk', 'ahk2']:
-        code = '#Include <Print>\n' + code
+        preamble = '#Include <Print>\n'
+        if benchmark:
+            register, handler = benchmarks.MARKS[legacy_language]
+            preamble += register
+            code += ('' if code.endswith('\n') else '\n') + handler
+        code = preamble + code
+    return code, language, legacy_language, preamble
+
+
+def run_response(language, preamble, timeout, memory, elapsed):
+    """Response fields shared by /run and the final /stream event"""
+    return {
+        'time': elapsed,
+        'language': language,
+        'timeout': timeout,
+        'memory': memory,
+        # Lines injected ahead of the submitted code, so clients can map
+        # reported line numbers back to their source
+        'preamble_lines': preamble.count('\n')
+    }
+
+
+def parse_benchmark(request, language):
+    """Read the benchmark query parameter. Returns (benchmark, error_response)."""
+    benchmark = request.query_params.get('benchmark', '').lower() in ['1', 'true']
+    if benchmark and language not in benchmarks.MARKS:
+        return None, JSONResponse(status_code=422, content={
+            'detail': f'benchmark is only available for {", ".join(benchmarks.MARKS)}'})
+    return benchmark, None
+
+
+def parse_screenshot(request, timeout):
+    """Read the screenshot and screenshot_delay query parameters. Returns
+    (screenshot, delay, error_response)."""
+    screenshot = request.query_params.get('screenshot', '').lower() in ['1', 'true']
+    delay = request.query_params.get('screenshot_delay')
+    if delay is None:
+        return screenshot, None, None
+    try:
+        delay = float(delay)
+    except ValueError:
+        delay = -1
+    if not 0 <= delay < timeout:
+        return None, None, JSONResponse(status_code=422, content={
+            'detail': f'screenshot_delay must be between 0 and the timeout ({timeout:g} seconds)'})
+    return screenshot, delay, None
+
+
+def encode_png(png):
+    return base64.b64encode(png).decode('ascii') if png else None
+
+
+async def parse_body(request):
+    """Read the code to run. A JSON body ({"code", "args", "stdin",
+    "files"}) also gives the script command line arguments, standard input
+    and files to start with, where each file is a string or {"base64": ...}.
+    Returns (code, workspace, error_response); workspace is None for a
+    plain text body."""
+    body = (await request.body()).decode('utf-8')
+    if request.headers.get('content-type', '').split(';')[0].strip() != 'application/json':
+        return body, None, None
+
+    def invalid(detail):
+        return None, None, JSONResponse(status_code=422, content={'detail': detail})
+
+    try:
+        body = json.loads(body)
+    except ValueError:
+        return invalid('body is not valid JSON')
+    if not isinstance(body, dict) or not isinstance(body.get('code'), str):
+        return invalid('code must be a string')
+
+    args = body.get('args') or []
+    if not isinstance(args, list) or not all(isinstance(arg, str) for arg in args):
+        return invalid('args must be a list of strings')
+    stdin = body.get('stdin') or ''
+    if not isinstance(stdin, str):
+        return invalid('stdin must be a string')
+
+    files = {}
+    reserved = set(SCRIPT_NAMES.values()) | {STDIN_NAME}
+    for path, content in (body.get('files') or {}).items():
+        parts = path.replace('\\', '/').split('/')
+        if path.startswith(('/', '\\')) or ':' in path or path in reserved \
+                or any(part in ['', '.', '..'] for part in parts):
+            return invalid(f'invalid file path: {path}')
+        if isinstance(content, str):
+            files['/'.join(parts)] = content.encode('utf-8')
+        elif isinstance(content, dict) and isinstance(content.get('base64'), str):
+            try:
+                files['/'.join(parts)] = base64.b64decode(content['base64'], validate=True)
+            except ValueError:
+                return invalid(f'invalid base64 for file: {path}')
+        else:
+            return invalid(f'file {path} must be a string or {{"base64": ...}}')
+
+    return body['code'], Workspace(args, stdin, files), None
+
+
+def encode_files(files):
+    """Written files for a response: text as a string, anything that isn't
+    UTF-8 as {"base64": ...}"""
+    encoded = {}
+    for path, data in files.items():
+        try:
+            encoded[path] = data.decode('utf-8')
+        except UnicodeDecodeError:
+            encoded[path] = {'base64': base64.b64encode(data).decode('ascii')}
+    return encoded
+
+
+def sse_event(event, data):
+    return f'event: {event}\ndata: {json.dumps(data)}\n\n'
+
+
+def load_api_keys():
+    """Read the API keys allowed to run code: CLOUDAHK_API_KEYS (comma
+    separated, default quotas) and CLOUDAHK_API_KEYS_FILE (JSON of
+    {key: {"name", "rate_limit", "concurrency"}}). With no keys the API is
+    open to anyone."""
+    keys = {}
+    for key in os.getenv('CLOUDAHK_API_KEYS', '').split(','):
+        if key.strip():
+            keys[key.strip()] = quotas.Quota(None, RATE_LIMIT, MAX_CONCURRENT)
+    path = os.getenv('CLOUDAHK_API_KEYS_FILE')
+    if path:
+        with open(path, encoding='utf-8') as f:
+            for key, settings in json.load(f).items():
+                keys[key] = quotas.Quota(settings.get('name'),
+                                         settings.get('rate_limit', RATE_LIMIT),
+                                         settings.get('concurrency', MAX_CONCURRENT))
+    return keys
+
+
+def authorize(request):
+    """Check the API key sent as `Authorization: Bearer <key>` or
+    `X-API-Key: <key>`. Returns (key, error_response); key is None when no
+    keys are configured."""
+    if not API_KEYS:
+        return None, None
+    scheme, _, token = request.headers.get('authorization', '').partition(' ')
+    sent = token.strip() if scheme.lower() == 'bearer' else request.headers.get('x-api-key', '')
+    for key in API_KEYS:
+        # Constant time, so keys can't be guessed a character at a time
+        if sent and hmac.compare_digest(sent.encode('utf-8'), key.encode('utf-8')):
+            return key, None
+    return None, JSONResponse(status_code=401, headers={'WWW-Authenticate': 'Bearer'}, content={
+        'detail': 'Invalid API key' if sent else 'An API key is required'})
+
+
+def take_quota(key, rate=True, concurrency=True):
+    """Count a run against the key's quotas (see quotas.Limiter.take).
+    Returns an error response when one is used up; otherwise, with
+    concurrency, the run must end with release_quota()."""
+    if key is None:
+        return None
+    refusal = _limiter.take(key, rate, concurrency)
+    if refusal is None:
+        return None
+    log.info(f'{API_KEYS[key].name or "API key"} over its {refusal.kind} quota')
+    return JSONResponse(status_code=429, headers={'Retry-After': str(refusal.retry_after)}, content={
+        'detail': refusal.detail, 'quota': refusal.kind, 'retry_after': refusal.retry_after})
+
+
+def release_quota(key):
+    if key is not None:
+        _limiter.release(key)
+
+
+def parse_format_options(request):
+    """Read the /format query parameters. Returns (format_ahk keyword
+    arguments, error_response)."""
+    indent = request.query_params.get('indent', 'tab')
+    brace_style = request.query_params.get('brace_style', 'preserve')
+    normalize_case = request.query_params.get('normalize_case', 'true').lower()
+
+    if indent != 'tab' and not (indent.isdigit() and 1 <= int(indent) <= 8):
+        return None, JSONResponse(status_code=422, content={
+            'detail': 'indent must be tab or a number of spaces from 1 to 8'})
+    if brace_style not in ahkfmt.BRACE_STYLES:
+        return None, JSONResponse(status_code=422, content={
+            'detail': f'brace_style must be one of {", ".join(ahkfmt.BRACE_STYLES)}'})
+    if normalize_case not in ['1', 'true', '0', 'false']:
+        return None, JSONResponse(status_code=422, content={
+            'detail': 'normalize_case must be true or false'})
+    return {
+        'indent': '\t' if indent == 'tab' else ' ' * int(indent),
+        'brace_style': brace_style,
+        'normalize_case': normalize_case in ['1', 'true'],
+    }, None
+
+
+def parse_limits(request):
+    """Read the timeout and memory query parameters, checking them against
+    the configured maxima. Returns (timeout, memory, error_response)."""
+    try:
+        timeout = float(request.query_params.get('timeout', DEFAULT_TIMEOUT))
+        memory = int(request.query_params.get('memory', DEFAULT_MEMORY))
+    except ValueError:
+        return None, None, JSONResponse(status_code=422, content={
+            'detail': 'timeout and memory must be numbers'})
+
+    if not 0 < timeout <= MAX_TIMEOUT:
+        return None, None, JSONResponse(status_code=422, content={
+            'detail': f'timeout must be between 0 and {MAX_TIMEOUT:g} seconds'})
+    if not MIN_MEMORY <= memory <= MAX_MEMORY:
+        return None, None, JSONResponse(status_code=422, content={
+            'detail': f'memory must be between {MIN_MEMORY} and {MAX_MEMORY} MB'})
+    return timeout, memory, None
+
+
+@cloudapi.get('/')
+def root():
+    return {'text': 'I\'m an api beep boop.'}
+
+
+@cloudapi.get('/containers')
+def container_amt():
+    """`num` is the number of warm containers ready for a request"""
+    return {
+        'num': len(_container_pool),
+        'starting': _containers_starting,
+        'busy': _containers_busy,
+        'waiting': _pool_waiting,
+        'min': POOL_MIN,
+        'max': POOL_MAX,
+    }
+
+
+@cloudapi.get('/metrics')
+def metrics():
+    """Pool and run metrics in the Prometheus text format"""
+    lines = []
+
+    def metric(name, kind, help, samples):
+        lines.append(f'# HELP {name} {help}')
+        lines.append(f'# TYPE {name} {kind}')
+        lines.extend(samples)
+
+    def by_language(name, counts):
+        return [f'{name}{{language="{language}"}} {count}' for language, count in sorted(counts.items())]
+
+    metric('cloudahk_pool_containers', 'gauge', 'Containers by state', [
+        f'cloudahk_pool_containers{{state="idle"}} {len(_container_pool)}',
+        f'cloudahk_pool_containers{{state="starting"}} {_containers_starting}',
+        f'cloudahk_pool_containers{{state="busy"}} {_containers_busy}',
+    ])
+    metric('cloudahk_sessions', 'gauge', 'Open sessions, each holding a busy container',
+           [f'cloudahk_sessions {len(_sessions)}'])
+    metric('cloudahk_pool_min_containers', 'gauge', 'Warm containers kept idle',
+           [f'cloudahk_pool_min_containers {POOL_MIN}'])
+    metric('cloudahk_pool_max_containers', 'gauge', 'Most containers at once',
+           [f'cloudahk_pool_max_containers {POOL_MAX}'])
+    metric('cloudahk_queue_depth', 'gauge', 'Requests waiting for a container',
+           [f'cloudahk_queue_depth {_pool_waiting}'])
+    metric('cloudahk_queue_wait_seconds', 'histogram', 'Time requests waited for a container',
+           _queue_wait.render('cloudahk_queue_wait_seconds'))
+    metric('cloudahk_run_duration_seconds', 'histogram', 'Time from request to result',
+           _run_latency.render('cloudahk_run_duration_seconds', 'language'))
+    metric('cloudahk_runs_total', 'counter', 'Finished runs',
+           by_language('cloudahk_runs_total', _counters['runs']))
+    metric('cloudahk_run_timeouts_total', 'counter', 'Runs killed at their timeout',
+           by_language('cloudahk_run_timeouts_total', _counters['timeouts']))
+    metric('cloudahk_container_allocation_failures_total', 'counter', 'Containers Docker failed to start',
+           [f'cloudahk_container_allocation_failures_total {_counters["allocation_failures"]}'])
+    metric('cloudahk_containers_evicted_total', 'counter', 'Idle containers found dead by health checks',
+           [f'cloudahk_containers_evicted_total {_counters["evicted"]}'])
+    metric('cloudahk_pool_rejected_total', 'counter', 'Requests turned away after waiting for a container',
+           [f'cloudahk_pool_rejected_total {_counters["rejected"]}'])
+    return PlainTextResponse('\n'.join(lines) + '\n', media_type='text/plain; version=0.0.4')
+
+
+@cloudapi.exception_handler(PoolUnavailable)
+async def pool_unavailable(request: Request, exc: PoolUnavailable):
+    # Nothing ran, so clients can safely try again
+    return JSONResponse(status_code=503, headers={'Retry-After': str(math.ceil(POOL_MAX_WAIT))},
+                        content={'detail': str(exc)})
+
+
+@cloudapi.get('/limits')
+def limits():
+    return {
+        'timeout': {'default': DEFAULT_TIMEOUT, 'max': MAX_TIMEOUT},
+        'memory': {'default': DEFAULT_MEMORY, 'min': MIN_MEMORY, 'max': MAX_MEMORY},
+    }
+
+
+@cloudapi.get('/languages')
+async def languages(request: Request):
+    """The languages /run takes: ahk, ahk2 and rlx, and the interpreters
+    unix scripts can use, by the name to pass as the language"""
+    # Looking the interpreters up starts a container
+    _, error = authorize(request)
+    if error:
+        return error
+    listed = [{
+        'name': name,
+        'kind': 'rlx' if name == 'rlx' else 'ahk',
+        'description': description,
+        'path': None,
+        'lint': name in LINT_LANGUAGES,
+        'format': name in FORMAT_VERSIONS,
+    } for name, description in LANGUAGE_DESCRIPTIONS.items()]
+    interpreters = await find_interpreters()
+    if interpreters is None:
+        log.warning('could not list the interpreters in the image')
+    for name, path in (interpreters or {}).items():
+        listed.append({
+            'name': name,
+            'kind': 'unix',
+            'description': f'Script run with #!/usr/bin/env {name}',
+            'path': path,
+            'lint': False,
+            'format': False,
+        })
+    return {'languages': listed}
+
+
+@cloudapi.get('/libs')
+def libs():
+    """The libraries in ahk/Lib, the ones ListLibs() lists, with the
+    functions and classes each defines"""
+    return {'libs': [ahklib.describe(os.path.join(ahklib.LIB_DIR, file)) for file in ahklib.list_files()]}
+
+
+@cloudapi.get('/libs/{name}')
+def lib(name: str):
+    """One library, by its name without .ahk, with its source"""
+    path = ahklib.lib_path(name)
+    if path is None:
+        return JSONResponse(status_code=404, content={'detail': f'No library named {name}'})
+    source = ahklib.read_source(path)
+    return {**ahklib.describe(path, source), 'source': source}
+
+
+@cloudapi.post('/format/{language}')
+async def format_code(language: str, request: Request):
+    """Format AutoHotkey code, without running it. Query parameters: indent
+    (`tab` or a number of spaces), brace_style (preserve, otb or allman)
+    and normalize_case (whether to write commands in their documented
+    case)."""
+    key, error = authorize(request)
+    if error:
+        return error
+    if language not in FORMAT_VERSIONS:
+        return JSONResponse(status_code=404, content={
+            'detail': f'Formatting is only available for {", ".join(FORMAT_VERSIONS)}'})
+    options, error = parse_format_options(request)
+    if error:
+        return error
+
+    code = (await request.body()).decode('utf-8')
+    formatted = ahkfmt.format_ahk(code, FORMAT_VERSIONS[language], **options)
+    return {'code': formatted, 'changed': formatted != code, 'language': language}
+
+
+@cloudapi.post('/{language}/run')
+async def run_lang(language: str, request: Request):
+    """Run code. With benchmark=true (ahk and ahk2), the response also
+    has `benchmark`: {"body": seconds the script itself ran, "startup":
+    the rest of the run once a container was free, starting and stopping
+    Wine and AutoHotkey}."""
+    key, error = authorize(request)
+    if error:
+        return error
+    timeout, memory, error = parse_limits(request)
+    if error:
+        return error
+    screenshot, screenshot_delay, error = parse_screenshot(request, timeout)
+    if error:
+        return error
+    benchmark, error = parse_benchmark(request, language)
+    if error:
+        return error
+
+    code, workspace, error = await parse_body(request)
+    if error:
+        return error
+    log.info('Received code', code)
+    code, language, legacy_language, preamble = prepare_code(language, code, benchmark)
+    if workspace and legacy_language == 'rlx' and (workspace.args or workspace.stdin):
+        # The compiler reads the script from stdin
+        return JSONResponse(status_code=422, content={
+            'detail': 'rlx scripts take no args or stdin'})
+
+    error = take_quota(key)
+    if error:
+        return error
 
     # Run the code
     start_time = time.perf_counter()
-    timeout, result = await run_code(code, legacy_language)
-    elapsed = time.perf_counter() - start_time
+    try:
+        name = await acquire_container(memory)
+        # A benchmark's startup leaves out the wait for a container
+        run_start = time.perf_counter()
+        result = await run_code(code, legacy_language, timeout, memory, screenshot,
+                                screenshot_delay, workspace, name=name)
+    finally:
+        release_quota(key)
+    end_time = time.perf_counter()
+    elapsed = end_time - start_time
+    record_run(legacy_language, elapsed, result.timed_out)
 
     # Build the response JSON`
-    response = {
-        'time': None if timeout else elapsed,
-        'stdout': result,
-        'language': language
-    }
+    stopped = result.timed_out or result.dialogs
+    response = run_response(language, preamble, timeout, memory,
+                            None if stopped else elapsed)
+    response['stdout'] = result.output
+    if benchmark:
+        response['stdout'], body = benchmarks.read_marks(result.output)
+        response['benchmark'] = {
+            'body': body,
+            'startup': None if stopped or body is None else max(0, end_time - run_start - body),
+        }
+    if result.dialogs:
+        response['blocked_by_dialog'] = result.dialogs
+    if screenshot:
+        # Base64 PNG, or None if the display couldn't be captured
+        response['screenshot'] = encode_png(result.screenshot)
+    if workspace:
+        # Files the script created or changed
+        response['files'] = encode_files(result.files)
+    return response
+
+
+@cloudapi.post('/sessions')
+async def create_session(request: Request):
+    """Start a session: a container kept for a series of runs, so they skip
+    starting Wine and see the files earlier runs left in /tmp. The memory
+    query parameter applies to every run in it. Sessions close after
+    SESSION_TTL idle seconds, or when a run in one has to be stopped.
+    An open session counts as one of its key's concurrent runs, and the
+    runs in it count toward the key's rate only."""
+    global _sessions_opening
+    key, error = authorize(request)
+    if error:
+        return error
+    _, memory, error = parse_limits(request)
+    if error:
+        return error
+    if len(_sessions) + _sessions_opening >= MAX_SESSIONS:
+        return JSONResponse(status_code=503, content={
+            'detail': f'All {MAX_SESSIONS} sessions are in use'})
+
+    error = take_quota(key, rate=False)
+    if error:
+        return error
+    _sessions_opening += 1
+    try:
+        session = Session(key, await acquire_container(memory), memory)
+    except PoolUnavailable:
+        release_quota(key)
+        raise
+    finally:
+        _sessions_opening -= 1
+    _sessions[session.id] = session
+    log.verbose(f'session {session.id} opened in {session.container}')
+    return session_info(session)
+
+
+def find_session(session_id, key):
+    """The key's open session with this id. Returns (session, error_response)."""
+    session = _sessions.get(session_id)
+    # Other keys' sessions don't exist, as far as this key can tell
+    if session is None or session.key != key:
+        return None, JSONResponse(status_code=404, content={
+            'detail': f'No open session {session_id}'})
+    return session, None
+
+
+@cloudapi.post('/sessions/{session_id}/{language}/run')
+async def run_in_session(session_id: str, language: str, request: Request):
+    """Run code like /run, in a session's container. The script and any
+    files sent with it are written to /tmp next to what earlier runs left,
+    and only files this run created or changed come back. A run that times
+    out or is blocked by a dialog closes the session (`session.closed`)."""
+    key, error = authorize(request)
+    if error:
+        return error
+    session, error = find_session(session_id, key)
+    if error:
+        return error
+    timeout, _, error = parse_limits(request)
+    if error:
+        return error
+    screenshot, screenshot_delay, error = parse_screenshot(request, timeout)
+    if error:
+        return error
+
+    code, workspace, error = await parse_body(request)
+    if error:
+        return error
+    code, language, legacy_language, preamble = prepare_code(language, code)
+    if workspace and legacy_language == 'rlx' and (workspace.args or workspace.stdin):
+        return JSONResponse(status_code=422, content={
+            'detail': 'rlx scripts take no args or stdin'})
+    # Always from a file in /tmp, so the script can use what is there
+    workspace = workspace or Workspace([], '', {})
+    if session.lock.locked():
+        return JSONResponse(status_code=409, content={
+            'detail': 'The session is already running a script'})
+
+    # The session already holds a place in the concurrency quota
+    error = take_quota(key, concurrency=False)
+    if error:
+        return error
+    async with session.lock:
+        start_time = time.perf_counter()
+        try:
+            result = await run_code(code, legacy_language, timeout, session.memory,
+                                    screenshot, screenshot_delay, workspace, session)
+        finally:
+            session.last_used = time.monotonic()
+        elapsed = time.perf_counter() - start_time
+    record_run(legacy_language, elapsed, result.timed_out)
+
+    stopped = result.timed_out or result.dialogs
+    if stopped:
+        # Stopping the script stopped the container
+        await close_session(session)
+    else:
+        session.files.update(workspace.files)
+        session.files.update(result.files)
+        session.runs += 1
+
+    response = run_response(language, preamble, timeout, session.memory,
+                            None if stopped else elapsed)
+    response['stdout'] = result.output
+    if result.dialogs:
+        response['blocked_by_dialog'] = result.dialogs
+    if screenshot:
+        response['screenshot'] = encode_png(result.screenshot)
+    response['files'] = encode_files(result.files)
+    response['session'] = {**session_info(session), 'closed': bool(stopped)}
     return response
 
 
+@cloudapi.delete('/sessions/{session_id}')
+async def delete_session(session_id: str, request: Request):
+    """Close a session, stopping any script running in it"""
+    key, error = authorize(request)
+    if error:
+        return error
+    session, error = find_session(session_id, key)
+    if error:
+        return error
+    await close_session(session)
+    return {**session_info(session), 'closed': True}
+
+
+@cloudapi.post('/{language}/stream')
+async def stream_lang(language: str, request: Request):
+    """Run code like /run, sending output as server-sent events: `stdout`
+    events with {"text": ...} as it is printed, then one `done` event with
+    the /run response fields (minus stdout)."""
+    key, error = authorize(request)
+    if error:
+        return error
+    timeout, memory, error = parse_limits(request)
+    if error:
+        return error
+    screenshot, screenshot_delay, error = parse_screenshot(request, timeout)
+    if error:
+        return error
+
+    code, workspace, error = await parse_body(request)
+    if error:
+        return error
+    log.info('Received code', code)
+    code, language, legacy_language, preamble = prepare_code(language, code)
+    if workspace and legacy_language == 'rlx' and (workspace.args or workspace.stdin):
+        # The compiler reads the script from stdin
+        return JSONResponse(status_code=422, content={
+            'detail': 'rlx scripts take no args or stdin'})
+    error = take_quota(key)
+    if error:
+        return error
+    try:
+        # Before the response starts, so a full pool is still a 503
+        name = await acquire_container(memory)
+    except PoolUnavailable:
+        release_quota(key)
+        raise
+
+    started = False
+
+    async def events():
+        nonlocal started
+        started = True
+        try:
+            async for event in stream_events():
+                yield event
+        finally:
+            release_quota(key)
+
+    async def release_unstarted():
+        # The client went away before the stream began, so stream_code never
+        # took over the container
+        if not started:
+            release_quota(key)
+            await stop_container(name)
+            await release_container()
+
+    async def stream_events():
+        # Chunks can split multi-byte characters
+        decoder = codecs.getincrementaldecoder('utf-8')(errors='replace')
+        start_time = time.perf_counter()
+        png = None
+        dialogs = []
+        files = {}
+        async for kind, value in stream_code(code, legacy_language, timeout, memory,
+                                             screenshot, screenshot_delay, workspace, name):
+            if kind == 'stdout':
+                text = decoder.decode(value)
+                if text:
+                    yield sse_event('stdout', {'text': text})
+            elif kind == 'screenshot':
+                png = value
+            elif kind == 'dialogs':
+                dialogs = value
+            elif kind == 'files':
+                files = value
+            else:
+                elapsed = time.perf_counter() - start_time
+                record_run(legacy_language, elapsed, value)
+                rest = decoder.decode(b'', final=True)
+                if rest:
+                    yield sse_event('stdout', {'text': rest})
+                done = run_response(language, preamble, timeout, memory,
+                                    None if value or dialogs else elapsed)
+                if dialogs:
+                    done['blocked_by_dialog'] = dialogs
+                if screenshot:
+                    done['screenshot'] = encode_png(png)
+                if workspace:
+                    done['files'] = encode_files(files)
+                yield sse_event('done', done)
+
+    return StreamingResponse(events(), media_type='text/event-stream',
+                             background=BackgroundTask(release_unstarted))
+
+
+@cloudapi.post('/{language}/lint')
+async def lint_lang(language: str, request: Request):
+    """Load code without running it, reporting load-time (syntax) errors
+    in stdout like /run does. Only for ahk and ahk2."""
+    key, error = authorize(request)
+    if error:
+        return error
+    if language not in LINT_LANGUAGES:
+        return JSONResponse(status_code=404, content={
+            'detail': f'Linting is only available for {", ".join(LINT_LANGUAGES)}'})
+    timeout, memory, error = parse_limits(request)
+    if error:
+        return error
+
+    code = await request.body()
+    code = code.decode('utf-8')
+    code, language, legacy_language, preamble = prepare_code(language, code)
+
+    error = take_quota(key)
+    if error:
+        return error
+    start_time = time.perf_counter()
+    try:
+        timed_out, output = await lint_code(code, legacy_language, timeout, memory)
+    finally:
+        release_quota(key)
+    elapsed = time.perf_counter() - start_time
+    record_run(legacy_language, elapsed, timed_out)
+
+    response = run_response(language, preamble, timeout, memory,
+                            None if timed_out else elapsed)
+    response['stdout'] = output
+    return response
+
 async def main():
-    for i in range(1):
-        await alloc_container()
+    """Warm up the pool, then keep it healthy and topped up"""
+    while True:
+        await check_pool()
+        await expire_sessions()
+        await fill_pool()
+        await asyncio.sleep(POOL_HEALTH_INTERVAL)
 
 log: verboselogs.VerboseLogger = verboselogs.VerboseLogger(__name__)
+API_KEYS = load_api_keys()
+_limiter = quotas.Limiter(API_KEYS)
 asyncio.create_task(main())
@@ -0,0 +1,48 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""Benchmark marks, added to AutoHotkey scripts by the routes in api.py
+with ?benchmark=true. Kept apart from the routes so they can be tested
+without a server.
+
+Scripts mark when their body starts and when they exit, as side channel
+records (see node/src/channel.js) that are taken out of stdout again. Like
+the Node client's exception handler, the mark is registered on one line
+ahead of the script and defined after it. Times come from
+QueryPerformanceCounter.
+"""
+
+import re
+
+# Per language: the line registering the mark, and its definition
+MARKS = {
+    'ahk': ('CloudAHK_Mark("start"), OnExit("CloudAHK_Mark")\n', '''
+CloudAHK_Mark(event, exitCode := 0) {
+\tDllCall("QueryPerformanceCounter", "Int64*", counter)
+\tDllCall("QueryPerformanceFrequency", "Int64*", frequency)
+\tFileAppend, % Chr(30) "cloudahk:mark [""" (event = "start" ? "start" : "end") """," counter "," frequency "]" Chr(30), *, UTF-8-RAW
+}
+'''),
+    'ahk2': ('CloudAHK_Mark("start"), OnExit(CloudAHK_Mark)\n', '''
+CloudAHK_Mark(event, *) {
+\tDllCall("QueryPerformanceCounter", "Int64*", &counter := 0)
+\tDllCall("QueryPerformanceFrequency", "Int64*", &frequency := 0)
+\tFileAppend(Chr(30) 'cloudahk:mark ["' (event = "start" ? "start" : "end") '",' counter "," frequency "]" Chr(30), "*", "UTF-8-RAW")
+}
+'''),
+}
+MARK_RECORD = re.compile(r'\x1ecloudahk:mark \["(start|end)",(\w+),(\w+)\]\x1e')
+
+
+def read_marks(output):
+    """Take the benchmark marks out of a script's output, the bytes run_code
+    read from it. Returns the output, decoded, and the seconds from the
+    start mark to the end mark, or None if the script didn't reach both (it
+    failed to load, or was killed)."""
+    output = output.decode('utf-8', 'replace')
+    marks = {}
+    for match in MARK_RECORD.finditer(output):
+        counter, frequency = int(match.group(2), 0), int(match.group(3), 0)
+        if frequency:
+            marks[match.group(1)] = counter / frequency
+    body = marks['end'] - marks['start'] if len(marks) == 2 else None
+    return MARK_RECORD.sub('', output), body
@@ -0,0 +1,82 @@
+/**
+ * CloudAHK Benchmark Statistics
+ *
+ * A run's `executionTime` covers starting Wine and AutoHotkey as much as
+ * the script, so benchmarks time the script body on the server (see
+ * `benchmark` in api.py) and summarize many runs here: the spread of body
+ * times, and of the startup overhead around them.
+ */
+
+/**
+ * Summarize a set of times
+ *
+ * @param {Array<number>} times - In milliseconds
+ * @returns {TimeStats}
+ */
+export function summarizeTimes(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, time) => sum + time, 0) / n;
+  const middle = Math.floor(n / 2);
+  // Sample standard deviation: the runs are a sample of all possible runs
+  const variance = n > 1 ? sorted.reduce((sum, time) => sum + (time - mean) ** 2, 0) / (n - 1) : 0;
+  return {
+    min: round(sorted[0]),
+    median: round(n % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2),
+    // Nearest rank
+    p95: round(sorted[Math.ceil(0.95 * n) - 1]),
+    max: round(sorted[n - 1]),
+    mean: round(mean),
+    stddev: round(Math.sqrt(variance)),
+  };
+}
+
+/**
+ * Compare two benchmarks by their median body time
+ *
+ * @param {BenchmarkResult} a
+ * @param {BenchmarkResult} b
+ * @returns {{faster: 'a'|'b'|null, ratio: number|null, difference: number}} `ratio` is how
+ *   many times slower the slower one is (null if the faster took no measurable time);
+ *   `faster` is null when the medians are within each other's standard deviation
+ */
+export function compareBenchmarks(a, b) {
+  const difference = round(b.body.median - a.body.median);
+  const noise = Math.max(a.body.stddev, b.body.stddev);
+  const [fast, slow] = difference >= 0 ? [a, b] : [b, a];
+  return {
+    faster: Math.abs(difference) <= noise ? null : difference > 0 ? 'a' : 'b',
+    ratio: fast.body.median > 0 ? Math.round((slow.body.median / fast.body.median) * 100) / 100 : null,
+    difference,
+  };
+}
+
+/**
+ * Milliseconds to the microsecond
+ * @private
+ */
+function round(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+/**
+ * @typedef {Object} TimeStats
+ * @property {number} min - In milliseconds, like the rest
+ * @property {number} median
+ * @property {number} p95 - 95th percentile (nearest rank)
+ * @property {number} max
+ * @property {number} mean
+ * @property {number} stddev - Sample standard deviation
+ */
+
+/**
+ * @typedef {Object} BenchmarkResult
+ * @property {string} language - 'ahk' or 'ahk2'
+ * @property {number} iterations - Runs measured
+ * @property {number} warmup - Runs before those, not measured
+ * @property {TimeStats} body - Time from the script's first line until it exited
+ * @property {TimeStats} startup - The rest of each run: starting and stopping Wine
+ *   and AutoHotkey, and the container round trip
+ * @property {Array<{body: number, startup: number}>} runs - Each measured run, in ms
+ * @property {string} output - What the last run printed
+ */
@@ -0,0 +1,208 @@
+/**
+ * CloudAHK Bundler
+ *
+ * The server only has its own ahk/Lib, so a script that includes sibling
+ * files or a project library can't run there as-is. The bundler inlines
+ * local #Include / #IncludeAgain directives recursively, producing a single
+ * script plus a source map that points every line back to the file it came
+ * from.
+ *
+ * Supported forms:
+ *   #Include file.ahk            - Relative to the include directory
+ *   #Include %A_ScriptDir%\x.ahk - A_ScriptDir, A_LineFile and A_WorkingDir
+ *   #Include "file.ahk"          - v2 quoted paths
+ *   #Include dir                 - Changes the include directory
+ *   #Include <Lib>               - Searched in <script dir>/Lib, then libPaths
+ *   #Include *i file.ahk         - Missing files are ignored
+ *   #IncludeAgain file.ahk       - Inlined again even if already included
+ *
+ * `<Lib>` includes that aren't found locally are left in place for the
+ * server's library (e.g. `#Include <Print>`).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { SourceMap } from './source-map.js';
+
+// v1 also takes a comma after the directive: `#Include, file.ahk`
+const INCLUDE_PATTERN = /^\s*#(Include|IncludeAgain)[\s,]+(.*?)\s*$/i;
+
+/**
+ * Bundle a script file and everything it includes
+ *
+ * @param {string} filePath - Path of the entry script
+ * @param {Object} options
+ * @param {Array<string>} [options.libPaths=[]] - Extra directories to search for <Lib> includes
+ * @returns {Promise<Bundle>}
+ */
+export async function bundleFile(filePath, options = {}) {
+  const code = await fs.readFile(filePath, 'utf-8');
+  return bundleSource(code, filePath, options);
+}
+
+/**
+ * Bundle script text as if it were saved at the given path
+ *
+ * @param {string} code - Contents of the entry script
+ * @param {string} filePath - Where the script lives, for resolving includes
+ * @param {Object} options
+ * @param {Array<string>} [options.libPaths=[]] - Extra directories to search for <Lib> includes
+ * @returns {Promise<Bundle>}
+ */
+export async function bundleSource(code, filePath, options = {}) {
+  const entry = path.resolve(filePath);
+  const scriptDir = path.dirname(entry);
+  const state = {
+    scriptDir,
+    includeDir: scriptDir,
+    libDirs: [path.join(scriptDir, 'Lib'), ...(options.libPaths || []).map((dir) => path.resolve(dir))],
+    included: new Set([entry]),
+    stack: [],
+    lines: [],
+    sourceMap: new SourceMap(),
+  };
+
+  await inline(state, entry, stripBom(code));
+  return {
+    code: state.lines.join('\n'),
+    sourceMap: state.sourceMap,
+    files: [...state.included],
+  };
+}
+
+/**
+ * Append a file's lines to the bundle, expanding its includes
+ * @private
+ */
+async function inline(state, file, code) {
+  if (state.stack.includes(file)) {
+    const cycle = [...state.stack, file].map((f) => path.relative(state.scriptDir, f) || f);
+    throw new BundleError(`Circular #Include: ${cycle.join(' -> ')}`, file, null);
+  }
+
+  state.stack.push(file);
+  const lines = state.sourceMap.addSource(file, code.replace(/\r?\n$/, ''));
+  let inComment = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Directives inside /* ... */ comments are not directives
+    if (inComment) {
+      if (trimmed.startsWith('*/') || trimmed.endsWith('*/')) inComment = false;
+    } else if (trimmed.startsWith('/*')) {
+      inComment = !trimmed.endsWith('*/');
+    } else {
+      const match = INCLUDE_PATTERN.exec(line);
+      if (match) {
+        const again = match[1].toLowerCase() === 'includeagain';
+        if (await includeFile(state, file, i + 1, match[2], again)) continue;
+      }
+    }
+
+    state.lines.push(line);
+    state.sourceMap.addMapping(file, i + 1);
+  }
+
+  state.stack.pop();
+}
+
+/**
+ * Handle one #Include directive
+ *
+ * @returns {Promise<boolean>} Whether the directive was consumed (false = keep it for the server)
+ * @private
+ */
+async function includeFile(state, file, line, argument, again) {
+  let target = argument.replace(/\s+;.*$/, '');
+  let ignoreMissing = false;
+  if (/^\*i\s+/i.test(target)) {
+    ignoreMissing = true;
+    target = target.replace(/^\*i\s+/i, '');
+  }
+  target = target.replace(/^(["'])(.*)\1$/, '$2');
+
+  let resolved;
+  const lib = /^<(.+)>$/.exec(target);
+  if (lib) {
+    resolved = await findLib(state, lib[1]);
+    // Not a local library: the server's ahk/Lib may have it
+    if (!resolved) return false;
+  } else {
+    const expanded = target
+      .replace(/%A_ScriptDir%/gi, state.scriptDir)
+      .replace(/%A_WorkingDir%/gi, state.scriptDir)
+      .replace(/%A_LineFile%/gi, file)
+      .replace(/\\/g, path.sep);
+    resolved = path.resolve(state.includeDir, expanded);
+
+    const stat = await fs.stat(resolved).catch(() => null);
+    if (stat?.isDirectory()) {
+      state.includeDir = resolved;
+      return true;
+    }
+    if (!stat) {
+      if (ignoreMissing) return true;
+      throw new BundleError(`#Include file "${target}" cannot be opened`, file, line);
+    }
+  }
+
+  if (!again && state.included.has(resolved)) {
+    // AHK includes each file once; later #Include directives are no-ops
+    return true;
+  }
+
+  state.included.add(resolved);
+  const code = await fs.readFile(resolved, 'utf-8');
+  await inline(state, resolved, stripBom(code));
+  return true;
+}
+
+/**
+ * Look for <Name> in the local library directories
+ * @private
+ */
+async function findLib(state, name) {
+  const candidates = [name];
+  // Like AHK, <Prefix_Func> falls back to Prefix.ahk
+  if (name.includes('_')) candidates.push(name.slice(0, name.indexOf('_')));
+
+  for (const candidate of candidates) {
+    for (const dir of state.libDirs) {
+      const file = path.join(dir, `${candidate}.ahk`);
+      if (await fs.stat(file).then((s) => s.isFile(), () => false)) {
+        return file;
+      }
+    }
+  }
+  return null;
+}
+
+function stripBom(code) {
+  return code.charCodeAt(0) === 0xfeff ? code.slice(1) : code;
+}
+
+/**
+ * Error resolving an #Include, with the location of the directive
+ */
+export class BundleError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} file - File containing the directive
+   * @param {number|null} line - Line of the directive
+   */
+  constructor(message, file, line) {
+    super(line ? `${message} (${file}:${line})` : message);
+    this.name = 'BundleError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+/**
+ * @typedef {Object} Bundle
+ * @property {string} code - The script with local includes inlined
+ * @property {SourceMap} sourceMap - Maps bundle lines back to their files
+ * @property {Array<string>} files - Every file that was inlined, entry first
+ */
@@ -0,0 +1,159 @@
+/**
+ * CloudAHK Result Cache
+ *
+ * Every run allocates a Wine container, which takes seconds, even when the
+ * same code was just run. The client can keep server responses in a cache
+ * keyed on a hash of everything that is sent (code after bundling, language,
+ * limits, args, stdin and files), so identical runs answer instantly.
+ *
+ * Backends implement `get(key)`, `set(key, value)` and `clear()`, all of
+ * which may return promises. `get` resolves to `{value, storedAt}` or null.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'cloudahk');
+
+/**
+ * Hash the parts of a request that decide its result
+ *
+ * @param {Object} parts - JSON-serializable request description
+ * @returns {string} Hex SHA-256
+ */
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * In-memory cache that drops the least recently used entries
+ */
+export class MemoryCache {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries=500] - Entries kept before evicting
+   * @param {number} [options.ttl=3600000] - Entry lifetime in ms
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    this._entries = new Map();
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+    this._entries.delete(key);
+    if (Date.now() - entry.storedAt > this.ttl) return null;
+    // Re-insert to mark it most recently used
+    this._entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, storedAt: Date.now() });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * Number of entries held (including expired ones not yet dropped)
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+}
+
+/**
+ * Cache of JSON files in a directory, shared between processes
+ *
+ * Failures to read or write are treated as misses: the cache never makes a
+ * run fail.
+ */
+export class DiskCache {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir] - Cache directory (default: ~/.cache/cloudahk)
+   * @param {number} [options.ttl=3600000] - Entry lifetime in ms
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_CACHE_DIR;
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+  }
+
+  async get(key) {
+    const file = this._file(key);
+    const entry = await fs.readFile(file, 'utf-8').then(JSON.parse, () => null);
+    if (!entry) return null;
+    if (Date.now() - entry.storedAt > this.ttl) {
+      await fs.rm(file, { force: true }).catch(() => {});
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, value) {
+    const file = this._file(key);
+    // Write then rename, so readers never see half an entry
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(temp, JSON.stringify({ value, storedAt: Date.now() }));
+      await fs.rename(temp, file);
+    } catch {
+      await fs.rm(temp, { force: true }).catch(() => {});
+    }
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.dir).catch(() => []);
+    await Promise.all(files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => fs.rm(path.join(this.dir, file), { force: true })));
+  }
+
+  /**
+   * @private
+   */
+  _file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+/**
+ * Build a cache backend from the client's `cache` option
+ *
+ * @param {boolean|string|Object} option - true or 'memory', 'disk', options
+ *   with `type`, or a backend with get/set. As strings (CLOUDAHK_CACHE),
+ *   'true' and '1' mean 'memory', and 'false', '0' and 'off' mean none.
+ * @returns {Object|null} The backend, or null when caching is off
+ */
+export function createCache(option) {
+  if (typeof option === 'string') {
+    option = option.trim().toLowerCase();
+    if (['true', '1'].includes(option)) option = 'memory';
+  }
+  if (!option || ['off', 'false', '0'].includes(option)) return null;
+  if (typeof option.get === 'function' && typeof option.set === 'function') {
+    return option;
+  }
+  const options = typeof option === 'object' ? option : { type: option };
+  if (options.type === 'disk') {
+    return new DiskCache(options);
+  }
+  if (!options.type || options.type === true || options.type === 'memory') {
+    return new MemoryCache(options);
+  }
+  throw new Error(`Unknown cache type: ${options.type}`);
+}
@@ -0,0 +1,73 @@
+/**
+ * CloudAHK Side Channel
+ *
+ * Scripts share stdout with whatever the user prints, so machine-readable
+ * records are framed with ASCII record separators (Chr(30) in AHK):
+ *
+ *   \x1Ecloudahk:<tag> <json>\x1E
+ *
+ * Records are split out of the output before error detection so user text
+ * can never be mistaken for one, and vice versa.
+ */
+
+export const RECORD_SEPARATOR = '\x1e';
+
+const RECORD_PATTERN = /\x1ecloudahk:(\w+) (.*?)\x1e\r?\n?/gs;
+
+/**
+ * Split side channel records out of script output
+ *
+ * @param {string} output - Raw stdout from the server
+ * @returns {{output: string, records: Array<ChannelRecord>}}
+ */
+export function extractRecords(output) {
+  const records = [];
+  let text = '';
+  let lastIndex = 0;
+
+  for (const match of output.matchAll(RECORD_PATTERN)) {
+    text += output.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    let data = null;
+    try {
+      data = JSON.parse(match[2]);
+    } catch {
+      // Keep the record so callers can see it was malformed
+    }
+
+    records.push({
+      tag: match[1],
+      data,
+      raw: match[2],
+      line: output.slice(0, match.index).split('\n').length,
+    });
+  }
+
+  text += output.slice(lastIndex);
+  return { output: text, records };
+}
+
+/**
+ * Split streamed output before a record that hasn't been fully received,
+ * so records are only ever extracted whole
+ *
+ * @param {string} text - Output received so far and not yet handled
+ * @returns {{complete: string, pending: string}}
+ */
+export function splitIncompleteRecord(text) {
+  const separators = text.split(RECORD_SEPARATOR).length - 1;
+  if (separators % 2 === 0) {
+    return { complete: text, pending: '' };
+  }
+  const index = text.lastIndexOf(RECORD_SEPARATOR);
+  return { complete: text.slice(0, index), pending: text.slice(index) };
+}
+
+/**
+ * @typedef {Object} ChannelRecord
+ * @property {string} tag - Record tag, e.g. 'exception'
+ * @property {*} data - Parsed JSON payload, null if it failed to parse
+ * @property {string} raw - The payload as written by the script
+ * @property {number} line - Line in the raw output where the record started
+ */
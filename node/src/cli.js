@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * CloudAHK CLI
+ *
+ * Run and validate AutoHotkey scripts from the command line.
+ *
+ * Usage:
+ *   cloudahk run <file|->           Run a script (- reads from stdin)
+ *   cloudahk validate <files...>    Check that scripts run without errors
+ *   cloudahk watch <file>           Re-run a script whenever it is saved
+ *   cloudahk status                 Check the CloudAHK server
+ *
+ * Options:
+ *   --v2 / --v1             Force the AHK version (default: auto-detect)
+ *   --language <lang>       Run as another language ('rlx', 'python', ...)
+ *   --json                  Print results as JSON
+ *   --capture-exceptions    Detect exceptions with an OnError handler (AHK only)
+ *   --lib <dir>             Extra directory for #Include <Lib> (repeatable)
+ *   --timeout <seconds>     Script time limit (default: 7)
+ *   --memory <MB>           Container memory limit (default: the server's)
+ *   --screenshot <file>     Save a PNG of the display when the script ends (run)
+ *   --screenshot-delay <s>  Take the screenshot this many seconds in instead
+ *   --arg <value>           Command line argument for the script (repeatable, run)
+ *   --stdin <file>          Send a file as the script's standard input (run)
+ *   --file <path>           Put a file in the script's directory (repeatable, run)
+ *   --out <dir>             Save the files the script writes here (run)
+ *   --no-color              Disable colors (also honors NO_COLOR)
+ *   --url <url>             CloudAHK API URL (default: $CLOUDAHK_URL)
+ *
+ * Exit codes:
+ *   0 - Success
+ *   1 - The script reported errors
+ *   2 - The script timed out
+ *   3 - The request failed or the command was used incorrectly
+ */
+
+import fs from 'fs/promises';
+import { watch as watchFile } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { CloudAHKClient, languageForFile } from './client.js';
+import { diffOutput } from './test-runner.js';
+
+const EXIT_OK = 0;
+const EXIT_ERRORS = 1;
+const EXIT_TIMEOUT = 2;
+const EXIT_FAILURE = 3;
+
+const WATCH_DEBOUNCE = 100;
+
+// Languages that get the AutoHotkey-only options ('auto' is ahk or ahk2)
+const AHK_LANGUAGES = ['ahk', 'ahk2', 'auto'];
+
+const USAGE = `Usage:
+  cloudahk run <file|->           Run a script (- reads from stdin)
+  cloudahk validate <files...>    Check that scripts run without errors
+  cloudahk watch <file>           Re-run a script whenever it is saved
+  cloudahk status                 Check the CloudAHK server
+
+Options:
+  --v2 / --v1             Force the AHK version (default: auto-detect)
+  --language <lang>       Run as another language ('rlx', 'python', ...)
+  --json                  Print results as JSON
+  --capture-exceptions    Detect exceptions with an OnError handler (AHK only)
+  --lib <dir>             Extra directory for #Include <Lib> (repeatable)
+  --timeout <seconds>     Script time limit (default: 7)
+  --memory <MB>           Container memory limit (default: the server's)
+  --screenshot <file>     Save a PNG of the display when the script ends (run)
+  --screenshot-delay <s>  Take the screenshot this many seconds in instead
+  --arg <value>           Command line argument for the script (repeatable, run)
+  --stdin <file>          Send a file as the script's standard input (run)
+  --file <path>           Put a file in the script's directory (repeatable, run)
+  --out <dir>             Save the files the script writes here (run)
+  --no-color              Disable colors
+  --url <url>             CloudAHK API URL`;
+
+const COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+  reset: '\x1b[0m',
+};
+
+let useColor = false;
+
+class UsageError extends Error {}
+
+function color(name, text) {
+  return useColor ? `${COLORS[name]}${text}${COLORS.reset}` : text;
+}
+
+/**
+ * Exit code for a single execution result
+ */
+function exitCodeFor(result) {
+  if (result.hasErrors) return EXIT_ERRORS;
+  if (result.timedOut) return EXIT_TIMEOUT;
+  return EXIT_OK;
+}
+
+/**
+ * Pick the language for a script from the flags or the file itself
+ */
+function languageFor(options, filePath, code) {
+  if (options.language) return options.language;
+  if (options.v2) return 'ahk2';
+  if (options.v1) return 'ahk';
+  return languageForFile(filePath, code);
+}
+
+/**
+ * Options that only apply to AutoHotkey scripts: bundling the file's local
+ * #Include files and --capture-exceptions. Other languages run the file as
+ * it is.
+ */
+function ahkOptions(options, language, scriptPath) {
+  if (!AHK_LANGUAGES.includes(language)) {
+    return {};
+  }
+  return { captureExceptions: options['capture-exceptions'], scriptPath };
+}
+
+/**
+ * Parse a positive numeric option, or undefined when not given
+ */
+function numberOption(options, name) {
+  if (options[name] === undefined) return undefined;
+  const value = Number(options[name]);
+  if (!(value > 0)) {
+    throw new UsageError(`--${name} must be a positive number`);
+  }
+  return value;
+}
+
+/**
+ * Read a script from a file, or from stdin for '-'
+ */
+async function readScript(filePath) {
+  if (filePath !== '-') {
+    return fs.readFile(filePath, 'utf-8');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * The run() args, stdin and files options from --arg, --stdin and --file
+ */
+async function inputOptions(options) {
+  const input = {};
+  if (options.arg) input.args = options.arg;
+  if (options.stdin) input.stdin = await fs.readFile(options.stdin, 'utf-8');
+  if (options.file || options.out) {
+    // Files are placed next to the script under their own names
+    input.files = {};
+    for (const file of options.file || []) {
+      input.files[path.basename(file)] = await fs.readFile(file);
+    }
+  }
+  return input;
+}
+
+/**
+ * Save the files a script wrote under dir
+ */
+async function saveFiles(files, dir) {
+  for (const [name, content] of Object.entries(files || {})) {
+    const target = path.join(dir, name);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+    console.error(color('dim', `wrote ${target}`));
+  }
+}
+
+/**
+ * Render an error with its source position and surrounding lines
+ */
+function renderError(error, filePath) {
+  const lines = [`${color('red', color('bold', `error[${error.type}]`))}: ${error.message}`];
+
+  if (error.sourceLine) {
+    const column = error.sourceColumn ? `:${error.sourceColumn}` : '';
+    const file = error.sourceFile ? path.relative(process.cwd(), error.sourceFile) : filePath;
+    lines.push(`  ${color('cyan', '-->')} ${file}:${error.sourceLine}${column}`);
+  }
+  for (const context of error.context.filter((c) => !/^(?:-+>|▶|\d+:|Line#$)/.test(c))) {
+    lines.push(`  ${color('dim', context)}`);
+  }
+  if (error.snippet) {
+    for (const line of error.snippet.split('\n')) {
+      lines.push(line.startsWith('>') ? color('red', line) : color('dim', line));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Print a result's errors (or timeout) to stderr
+ */
+function reportProblems(result, filePath) {
+  for (const error of result.errors) {
+    console.error(renderError(error, filePath) + '\n');
+  }
+  if (result.timedOut) {
+    console.error(color('yellow', result.summary));
+  }
+}
+
+async function runCommand(client, options, files) {
+  if (files.length !== 1) {
+    throw new UsageError('run takes exactly one file (or - for stdin)');
+  }
+  const [filePath] = files;
+  const code = await readScript(filePath);
+  const language = languageFor(options, filePath, code);
+  const runOptions = {
+    language,
+    // Includes from stdin resolve against the working directory
+    ...ahkOptions(options, language, filePath === '-' ? path.join(process.cwd(), '<stdin>') : filePath),
+    ...(await inputOptions(options)),
+  };
+  if (options.screenshot) {
+    const delay = numberOption(options, 'screenshot-delay');
+    runOptions.screenshot = delay !== undefined ? { delay: delay * 1000 } : true;
+  }
+
+  let result;
+  if (options.json) {
+    result = await client.run(code, runOptions);
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    // Print output as it arrives, so a hanging script shows how far it got
+    const stream = client.runStream(code, runOptions);
+    stream.on('stdout', (text) => process.stdout.write(text));
+    result = await stream.result;
+    reportProblems(result, filePath === '-' ? '<stdin>' : filePath);
+  }
+
+  if (options.screenshot) {
+    if (result.screenshot) {
+      await fs.writeFile(options.screenshot, Buffer.from(result.screenshot.data, 'base64'));
+    } else {
+      console.error(color('yellow', 'The server could not capture a screenshot'));
+    }
+  }
+  if (options.out) {
+    await saveFiles(result.files, options.out);
+  }
+  return exitCodeFor(result);
+}
+
+async function validateCommand(client, options, files) {
+  if (files.length === 0) {
+    throw new UsageError('validate needs at least one file');
+  }
+  const scripts = await Promise.all(files.map(async (filePath) => {
+    const code = await fs.readFile(filePath, 'utf-8');
+    const language = languageFor(options, filePath, code);
+    return { id: filePath, code, language, ...ahkOptions(options, language, filePath) };
+  }));
+  const batch = await client.runBatch(scripts);
+
+  if (options.json) {
+    console.log(JSON.stringify(batch, null, 2));
+  } else {
+    for (const entry of batch.results) {
+      if (!entry.result) {
+        console.log(`${color('red', '!')} ${entry.id} ${color('dim', entry.error)}`);
+      } else if (entry.result.success) {
+        console.log(`${color('green', '✓')} ${entry.id}`);
+      } else {
+        console.log(`${color('red', '✗')} ${entry.id}`);
+        reportProblems(entry.result, entry.id);
+      }
+    }
+    const { stats } = batch;
+    console.log(`\n${stats.passed}/${stats.total} valid` +
+      (stats.failed ? `, ${stats.failed} with errors` : '') +
+      (stats.timedOut ? `, ${stats.timedOut} timed out` : '') +
+      (stats.errored ? `, ${stats.errored} failed to run` : ''));
+  }
+
+  const { stats } = batch;
+  if (stats.errored) return EXIT_FAILURE;
+  if (stats.failed) return EXIT_ERRORS;
+  if (stats.timedOut) return EXIT_TIMEOUT;
+  return EXIT_OK;
+}
+
+async function watchCommand(client, options, files) {
+  if (files.length !== 1 || files[0] === '-') {
+    throw new UsageError('watch takes exactly one file');
+  }
+  const [filePath] = files;
+  let previousOutput = null;
+  let running = false;
+  let pending = false;
+  let timer = null;
+
+  const rerun = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      const code = await fs.readFile(filePath, 'utf-8');
+      const language = languageFor(options, filePath, code);
+      const result = await client.run(code, { language, ...ahkOptions(options, language, filePath) });
+
+      const time = new Date().toLocaleTimeString();
+      if (options.json) {
+        console.log(JSON.stringify(result));
+      } else {
+        const status = result.success ? color('green', 'ok') :
+          result.timedOut ? color('yellow', 'timed out') : color('red', 'failed');
+        console.log(color('dim', `[${time}]`) + ` ${path.basename(filePath)} ${status}`);
+        if (previousOutput === null || previousOutput === result.output) {
+          process.stdout.write(result.output);
+        } else {
+          // Show what changed since the last run
+          for (const line of diffOutput(previousOutput.replace(/\n$/, ''), result.output.replace(/\n$/, '')).split('\n')) {
+            if (line.startsWith('+')) console.log(color('green', line));
+            else if (line.startsWith('-')) console.log(color('red', line));
+            else console.log(color('dim', line));
+          }
+        }
+        reportProblems(result, filePath);
+      }
+      previousOutput = result.output;
+    } catch (error) {
+      console.error(color('red', `Run failed: ${error.message}`));
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        rerun();
+      }
+    }
+  };
+
+  console.error(color('dim', `Watching ${filePath} (Ctrl+C to stop)`));
+  await rerun();
+  watchFile(filePath, () => {
+    // Editors often write a file in several steps; wait for them to finish
+    clearTimeout(timer);
+    timer = setTimeout(rerun, WATCH_DEBOUNCE);
+  });
+  return new Promise(() => {});
+}
+
+async function statusCommand(client, options) {
+  const available = await client.isAvailable();
+  const status = { available, url: client.baseUrl };
+  if (available) {
+    status.containerPool = await client.getContainerCount();
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else if (available) {
+    console.log(`${color('green', '●')} CloudAHK is running at ${client.baseUrl}` +
+      ` (${status.containerPool} container(s) ready)`);
+  } else {
+    console.log(`${color('red', '●')} CloudAHK is not reachable at ${client.baseUrl}`);
+  }
+  return available ? EXIT_OK : EXIT_FAILURE;
+}
+
+const COMMANDS = {
+  run: runCommand,
+  validate: validateCommand,
+  watch: watchCommand,
+  status: statusCommand,
+};
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      v1: { type: 'boolean', default: false },
+      v2: { type: 'boolean', default: false },
+      language: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'capture-exceptions': { type: 'boolean', default: false },
+      lib: { type: 'string', multiple: true },
+      timeout: { type: 'string' },
+      memory: { type: 'string' },
+      screenshot: { type: 'string' },
+      'screenshot-delay': { type: 'string' },
+      arg: { type: 'string', multiple: true },
+      stdin: { type: 'string' },
+      file: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      'no-color': { type: 'boolean', default: false },
+      url: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [command, ...files] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT_OK : EXIT_FAILURE;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  useColor = Boolean(process.stdout.isTTY) && !options['no-color'] && !process.env.NO_COLOR;
+  const timeout = numberOption(options, 'timeout');
+  const client = new CloudAHKClient({
+    baseUrl: options.url,
+    libPaths: options.lib,
+    timeout: timeout && timeout * 1000,
+    memoryLimit: numberOption(options, 'memory'),
+  });
+  return COMMANDS[command](client, options, files);
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      console.error(color('red', `Error: ${error.message}`));
+    }
+    process.exit(EXIT_FAILURE);
+  });
@@ -5,21 +5,117 @@
  * and detecting errors automatically.
  */
 
-const DEFAULT_BASE_URL = process.env.CLOUDAHK_URL || 'http://localhost:8000';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { summarizeTimes } from './benchmark.js';
+import { bundleSource } from './bundler.js';
+import { cacheKey, createCache } from './cache.js';
+import { errorParserFor, shebangInterpreter, textColumn } from './diagnostics.js';
+import { EndpointPool } from './endpoints.js';
+import { RateLimitError, errorFromResponse } from './errors.js';
+import { extractRecords } from './channel.js';
+import { exceptionFromRecord, wrapForExceptions } from './exceptions.js';
+import { parseMetrics, summarizeMetrics } from './metrics.js';
+import { SourceMap } from './source-map.js';
+import { Session } from './session.js';
+import { RunStream, readEvents } from './stream.js';
+import { detectVersion, isVersionMismatch, otherLanguage } from './version.js';
+
+// CLOUDAHK_URL may list several hosts, separated by commas
+const DEFAULT_ENDPOINTS = (process.env.CLOUDAHK_URL || 'http://localhost:8000').split(',').map((url) => url.trim());
 const DEFAULT_TIMEOUT = 7000; // 7 seconds (matches server default)
 
+// Extra time the server needs around a run (container handoff, Wine startup)
+// before the request itself is abandoned
+const REQUEST_OVERHEAD = 5000;
+
+// Lines the server injects ahead of the script (e.g. `#Include <Print>`),
+// used when the server doesn't report `preamble_lines` itself
+const DEFAULT_PREAMBLE_LINES = { ahk: 1, ahk2: 1, rlx: 0 };
+
+const DEFAULT_BENCHMARK_ITERATIONS = 10;
+const DEFAULT_BENCHMARK_WARMUP = 1;
+
+const DEFAULT_BATCH_RETRIES = 2;
+const DEFAULT_BATCH_RETRY_DELAY = 500;
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 250;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 10000;
+const HEALTH_CHECK_TIMEOUT = 2000;
+
+// Statuses meaning the host couldn't take the request (proxy errors, no
+// capacity), so the script never ran and another try is safe
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Network errors from before the request was sent, likewise safe to retry
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// With language 'auto', any load error from a guess below this confidence
+// is worth a retry under the other version
+const AUTO_RETRY_CONFIDENCE = 0.75;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
  * CloudAHK client for running AutoHotkey scripts
+ *
+ * With several endpoints, requests go to the host with the most free
+ * containers, failures are retried on another host, and hosts that keep
+ * failing are skipped for a while (circuit breaker).
+ *
+ * Events:
+ *   'select' ({url, freeContainers, inFlight, state}) - A host was picked for a request
+ *   'retry' ({url, attempt, delay, error})            - A request failed and will be retried
+ *   'circuit' ({url, state, error?})                  - A host's circuit opened, half-opened or closed
+ *   'health' ({url, healthy, freeContainers})         - A health check finished
  */
-export class CloudAHKClient {
+export class CloudAHKClient extends EventEmitter {
   /**
    * @param {Object} options
    * @param {string} [options.baseUrl] - CloudAHK API URL (default: http://localhost:8000)
-   * @param {number} [options.timeout] - Request timeout in ms (default: 7000)
+   * @param {string} [options.apiKey] - API key for servers that require one
+   *   (default: CLOUDAHK_API_KEY)
+   * @param {Array<string>} [options.endpoints] - Several CloudAHK API URLs to balance
+   *   between (default: [baseUrl], or CLOUDAHK_URL split on commas)
+   * @param {number} [options.retries=2] - Retries for requests that failed without running
+   *   the script (connection errors, 502-504; any failure for GET requests)
+   * @param {number} [options.retryDelay=250] - Initial retry delay in ms, doubled per attempt
+   * @param {number} [options.failureThreshold] - Consecutive failures that open a host's circuit
+   *   (default: 3 with several endpoints; a lone endpoint's circuit never opens unless set)
+   * @param {number} [options.resetTimeout=30000] - ms before an open circuit is tried again
+   * @param {number|false} [options.healthCheckInterval=10000] - With several endpoints, re-check
+   *   their health before a request when the last check is older than this (ms); false
+   *   leaves it to `checkHealth()`
+   * @param {number} [options.timeout] - Default script timeout in ms (default: 7000)
+   * @param {number} [options.memoryLimit] - Default container memory limit in MB
+   *   (default: the server's)
+   * @param {Array<string>} [options.libPaths] - Local directories searched for `#Include <Lib>`
+   *   when bundling (default: CLOUDAHK_LIB, separated like PATH)
+   * @param {boolean|string|Object} [options.cache] - Cache results of identical runs:
+   *   true or 'memory' (LRU), 'disk', `{type, ttl, maxEntries, dir}`, or a backend
+   *   with get/set/clear (default: CLOUDAHK_CACHE, else off)
    */
   constructor(options = {}) {
-    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    super();
+    const endpoints = options.endpoints || (options.baseUrl ? [options.baseUrl] : DEFAULT_ENDPOINTS);
+    this.pool = new EndpointPool(endpoints, {
+      // With nowhere else to go, failing fast only turns a brief outage into a longer one
+      failureThreshold: options.failureThreshold ?? (endpoints.length > 1 ? undefined : Infinity),
+      resetTimeout: options.resetTimeout,
+      emit: (event, data) => this.emit(event, data),
+    });
+    this.baseUrl = this.pool.endpoints[0].url;
+    this.apiKey = options.apiKey ?? process.env.CLOUDAHK_API_KEY ?? null;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.healthCheckInterval = options.healthCheckInterval ?? DEFAULT_HEALTH_CHECK_INTERVAL;
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.memoryLimit = options.memoryLimit ?? null;
+    this.libPaths = options.libPaths ||
+      (process.env.CLOUDAHK_LIB ? process.env.CLOUDAHK_LIB.split(path.delimiter) : []);
+    this.cache = createCache(options.cache ?? process.env.CLOUDAHK_CACHE);
   }
 
   /**
@@ -27,34 +123,59 @@ export class CloudAHKClient {
    *
    * @param {string} code - The AHK code to execute
    * @param {Object} options
-   * @param {string} [options.language='ahk'] - Language: 'ahk', 'ahk2', 'rlx', or 'unix'
+   * @param {string} [options.language='ahk'] - Language: 'ahk', 'ahk2', 'rlx', an
+   *   interpreter installed on the server (see `listLanguages()`), or 'unix' for the
+   *   interpreter named in the code's `#!` line;
+   *   'auto' picks ahk or ahk2 with `detectVersion()`, retrying under the other
+   *   version when the script fails to load in a way that suggests a mismatch
+   * @param {boolean} [options.captureExceptions=false] - Report uncaught exceptions
+   *   through an OnError handler instead of scraping stdout (ahk/ahk2 only)
+   * @param {string} [options.scriptPath] - Where the code lives on disk; local
+   *   #Include directives are resolved relative to it and inlined before sending
+   * @param {Array<string>} [options.libPaths] - Directories for `#Include <Lib>`
+   *   (default: the client's libPaths)
+   * @param {number} [options.timeout] - Script timeout in ms (default: the client's timeout);
+   *   the server rejects values above its configured maximum
+   * @param {number} [options.memoryLimit] - Container memory limit in MB
+   *   (default: the client's memoryLimit, else the server's)
+   * @param {boolean|{delay: number}} [options.screenshot=false] - Capture the virtual
+   *   display as a PNG when the script exits or is killed, or `delay` ms after it starts
+   * @param {Array<string>} [options.args] - Command line arguments for the script
+   *   (`A_Args` in v2, `%1%`... in v1)
+   * @param {string} [options.stdin] - Standard input for the script
+   * @param {Object<string, string|Buffer>} [options.files] - Files to create in the
+   *   script's working directory, by relative path; files the script creates or
+   *   changes come back in `result.files`
+   * @param {boolean} [options.cache=true] - false skips the client's cache for this run
+   *   (the result is still stored)
+   * @param {boolean} [options.benchmark=false] - Have the server time the script body
+   *   (ahk/ahk2; see `benchmark()`)
    * @returns {Promise<ExecutionResult>}
    */
   async run(code, options = {}) {
-    const language = options.language || 'ahk';
-    const url = `${this.baseUrl}/${language}/run`;
+    if (options.language === 'auto') {
+      return this._runDetected(code, options);
+    }
+    const request = await this._prepareRun(code, options);
+    const hit = await this._cacheLookup(request, options);
+    if (hit) {
+      return this._parseResult(hit, request);
+    }
 
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout + 5000);
+    const timeoutId = setTimeout(() => controller.abort(), request.timeout + REQUEST_OVERHEAD);
 
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'text/plain; charset=utf-8',
-        },
-        body: code,
-        signal: controller.signal,
-      });
-
+      const response = await this._post(request, 'run', controller.signal);
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        throw new Error(`CloudAHK API error: ${response.status} ${response.statusText}`);
+        throw await this._apiError(response);
       }
 
       const result = await response.json();
-      return this._parseResult(result, code);
+      await this._cacheStore(request, result);
+      return this._parseResult(result, request);
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
@@ -64,25 +185,407 @@ export class CloudAHKClient {
     }
   }
 
+  /**
+   * Run code under the version detectVersion() picks, falling back to the
+   * other one if it fails to load as the wrong version
+   * @private
+   */
+  async _runDetected(code, options) {
+    const detected = detectVersion(code);
+    let result = await this.run(code, { ...options, language: detected.language });
+    let retriedAs = null;
+
+    const loadErrors = result.errors.filter(e => this._isLoadError(e));
+    const mismatch = loadErrors.some(e => isVersionMismatch(e.message)) ||
+      (loadErrors.length > 0 && detected.confidence < AUTO_RETRY_CONFIDENCE);
+    if (mismatch) {
+      // The script never started, so running it again has no side effects
+      const language = otherLanguage(detected.language);
+      const retry = await this.run(code, { ...options, language });
+      retriedAs = language === 'ahk2' ? 'v2' : 'v1';
+      if (!retry.errors.some(e => this._isLoadError(e))) {
+        result = retry;
+      }
+    }
+
+    result.versionDetection = { ...detected, retriedAs };
+    return result;
+  }
+
+  /**
+   * Run code, receiving its output while it runs
+   *
+   * Takes the same options as `run()` (with language 'auto', the detected
+   * version is used without the fallback). Servers without the streaming
+   * endpoint are handled by falling back to a regular run, delivering the
+   * output in one chunk at the end.
+   *
+   * @example
+   * const stream = client.runStream(code);
+   * for await (const event of stream) {
+   *   if (event.type === 'stdout') process.stdout.write(event.text);
+   * }
+   * const result = await stream.result;
+   *
+   * @param {string} code - The AHK code to execute
+   * @param {Object} options - Any `run()` option
+   * @returns {RunStream}
+   */
+  runStream(code, options = {}) {
+    const timeout = options.timeout || this.timeout;
+
+    return new RunStream(async (signal) => {
+      const request = await this._prepareRun(code, options);
+      const parse = (done, stdout) => {
+        this._cacheStore(request, { ...done, stdout });
+        return this._parseResult({ ...done, stdout }, request);
+      };
+
+      const hit = await this._cacheLookup(request, options);
+      if (hit) {
+        const { stdout, ...done } = hit;
+        return { events: [{ event: 'stdout', data: { text: stdout } }, { event: 'done', data: done }], parse };
+      }
+
+      const response = await this._post(request, 'stream', signal);
+      if (response.status === 404) {
+        // Older server: no /stream route
+        const fallback = await this._post(request, 'run', signal);
+        if (!fallback.ok) {
+          throw await this._apiError(fallback);
+        }
+        const { stdout, ...done } = await fallback.json();
+        return { events: [{ event: 'stdout', data: { text: stdout } }, { event: 'done', data: done }], parse };
+      }
+      if (!response.ok) {
+        throw await this._apiError(response);
+      }
+      return { events: readEvents(response.body), parse };
+    }, { deadline: timeout + REQUEST_OVERHEAD });
+  }
+
+  /**
+   * Resolve run() options into what is sent and what is needed to read the result
+   * @private
+   */
+  async _prepareRun(code, options) {
+    let language = options.language || 'ahk';
+    if (language === 'auto') {
+      language = detectVersion(code).language;
+    }
+    if (language === 'unix') {
+      language = shebangInterpreter(code);
+      if (!language) {
+        throw new Error('Language \'unix\' needs a #! line naming the interpreter, e.g. #!/usr/bin/env python3');
+      }
+      // The server writes the #! line for the interpreter itself; leaving
+      // the line blank keeps line numbers the same
+      code = code.replace(/^[^\n]*/, '');
+    }
+    const timeout = options.timeout || this.timeout;
+    const memoryLimit = options.memoryLimit ?? this.memoryLimit;
+
+    const params = new URLSearchParams({ timeout: String(timeout / 1000) });
+    if (memoryLimit) {
+      params.set('memory', String(memoryLimit));
+    }
+    if (options.benchmark) {
+      params.set('benchmark', 'true');
+    }
+    if (options.screenshot) {
+      params.set('screenshot', 'true');
+      if (options.screenshot.delay !== undefined) {
+        params.set('screenshot_delay', String(options.screenshot.delay / 1000));
+      }
+    }
+
+    let sourceMap;
+    let body;
+    if (options.scriptPath) {
+      ({ code: body, sourceMap } = await bundleSource(code, options.scriptPath, {
+        libPaths: options.libPaths || this.libPaths,
+      }));
+    } else {
+      body = code;
+      sourceMap = SourceMap.fromCode(code);
+    }
+    if (options.captureExceptions) {
+      const wrapped = wrapForExceptions(body, language);
+      body = wrapped.code;
+      sourceMap.prepend(wrapped.prependedLines);
+    }
+
+    const workspace = this._workspace(options);
+    return {
+      language,
+      timeout,
+      params,
+      body,
+      workspace,
+      sourceMap,
+      captureExceptions: Boolean(options.captureExceptions),
+      // Everything that decides the server's response
+      cacheKey: this.cache && cacheKey({
+        servers: this.pool.endpoints.map((e) => e.url),
+        language,
+        params: params.toString(),
+        body,
+        workspace,
+      }),
+      cacheHit: null,
+    };
+  }
+
+  /**
+   * The cached response for a request, if caching is on and not bypassed
+   * @private
+   */
+  async _cacheLookup(request, options) {
+    if (!request.cacheKey || options.cache === false) return null;
+    const entry = await Promise.resolve(this.cache.get(request.cacheKey)).catch(() => null);
+    if (!entry) return null;
+    request.cacheHit = entry;
+    return entry.value;
+  }
+
+  /**
+   * Cache a response. Runs that timed out or were blocked depend on timing,
+   * so only completed runs are kept.
+   * @private
+   */
+  async _cacheStore(request, response) {
+    if (!request.cacheKey || request.cacheHit || response.time === null) return;
+    await Promise.resolve(this.cache.set(request.cacheKey, response)).catch(() => {});
+  }
+
+  /**
+   * The args, stdin and files to send with a run, or null if there are none
+   * @private
+   */
+  _workspace(options) {
+    if (!options.args && options.stdin === undefined && !options.files) {
+      return null;
+    }
+    const files = {};
+    for (const [name, content] of Object.entries(options.files || {})) {
+      files[name] = Buffer.isBuffer(content) ? { base64: content.toString('base64') } : content;
+    }
+    return {
+      args: (options.args || []).map(String),
+      stdin: options.stdin || '',
+      files,
+    };
+  }
+
+  /**
+   * Send a prepared run to one of the language routes ('run' or 'stream')
+   * @private
+   */
+  _post(request, route, signal) {
+    // Args, stdin and files need the JSON form of the request
+    const json = request.workspace !== null;
+    return this._fetch(`/${request.language}/${route}?${request.params}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': json ? 'application/json' : 'text/plain; charset=utf-8',
+      },
+      body: json ? JSON.stringify({ code: request.body, ...request.workspace }) : request.body,
+      signal,
+    });
+  }
+
+  /**
+   * Send a request to the best endpoint, retrying on others when it fails
+   * in a way that is safe to repeat
+   *
+   * Runs are only retried when the script can't have started: connection
+   * errors and 502-504. GET requests are retried on any network error or
+   * 5xx. The last response is returned as-is once retries run out. Callers
+   * don't retry failures again on top of these.
+   * @private
+   */
+  async _fetch(pathname, init = {}) {
+    const idempotent = (init.method || 'GET') === 'GET';
+    if (this.healthCheckInterval !== false && this.pool.endpoints.length > 1 &&
+        this.pool.isStale(this.healthCheckInterval)) {
+      await this.checkHealth();
+    }
+
+    const tried = new Set();
+    for (let attempt = 0; ; attempt++) {
+      const endpoint = this.pool.select(tried);
+      if (!endpoint) {
+        const error = new Error('No CloudAHK endpoint available: every host\'s circuit breaker is open');
+        error.endpoints = this.getEndpointStats();
+        throw error;
+      }
+      tried.add(endpoint.url);
+      this.pool.start(endpoint);
+      const started = Date.now();
+
+      let response = null;
+      let failure;
+      try {
+        response = await this._fetchAt(endpoint.url, pathname, init);
+        if (response.status < 500) {
+          this.pool.succeed(endpoint, Date.now() - started);
+          return response;
+        }
+        failure = new Error(`${response.status} ${response.statusText}`);
+        this.pool.fail(endpoint, failure);
+        if (!RETRYABLE_STATUSES.includes(response.status) && !idempotent) {
+          return response;
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          // Our own timeout or a cancel, not the host's fault
+          this.pool.release(endpoint);
+          throw error;
+        }
+        failure = error;
+        this.pool.fail(endpoint, error);
+        if (!idempotent && !CONNECT_ERRORS.includes(error.cause?.code)) {
+          throw error;
+        }
+      }
+
+      if (attempt >= this.retries) {
+        if (response) return response;
+        throw failure;
+      }
+      await response?.body?.cancel().catch(() => {});
+      endpoint.retries++;
+      const delay = this.retryDelay * 2 ** attempt;
+      this.emit('retry', { url: endpoint.url, attempt: attempt + 1, delay, error: failure.cause?.code || failure.message });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Send a request to one endpoint, without retries: for sessions, whose
+   * container is on the host that opened them, and for checking on hosts
+   * @private
+   */
+  _fetchAt(url, pathname, init = {}) {
+    return fetch(`${url}${pathname}`, {
+      ...init,
+      headers: {
+        ...init.headers,
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+    });
+  }
+
+  /**
+   * Build the error for a failed API response: AuthenticationError,
+   * RateLimitError or APIError
+   * @private
+   */
+  _apiError(response) {
+    return errorFromResponse(response);
+  }
+
+  /**
+   * Run a script file, inlining its local #Include files
+   *
+   * The language is detected from the file unless given: `.ahk2` files are
+   * v2, anything else runs with language 'auto'.
+   *
+   * @param {string} filePath - Path of the script
+   * @param {Object} options - Any `run()` option
+   * @returns {Promise<ExecutionResult>}
+   */
+  async runFile(filePath, options = {}) {
+    const code = await fs.readFile(filePath, 'utf-8');
+    return this.run(code, {
+      language: filePath.endsWith('.ahk2') ? 'ahk2' : 'auto',
+      ...options,
+      scriptPath: filePath,
+    });
+  }
+
   /**
    * Parse the API result and detect errors
    * @private
    */
-  _parseResult(result, code) {
-    const output = result.stdout || '';
-    const timedOut = result.time === null;
-    const errors = this._detectErrors(output);
+  _parseResult(result, request) {
+    const { output, records } = extractRecords(result.stdout || '');
+    const dialogs = result.blocked_by_dialog || [];
+    // A blocked script is stopped early (or at the timeout) with time: null
+    const timedOut = result.time === null && dialogs.length === 0;
+    const preambleLines = result.preamble_lines ??
+      DEFAULT_PREAMBLE_LINES[request.language] ?? 1;
+
+    const parseErrors = errorParserFor(request.language);
+    let errors = parseErrors
+      ? parseErrors(output, m => this._classifyError(m))
+      : this._detectErrors(output);
+    let exceptions = [];
+    if (request.captureExceptions) {
+      // Uncaught exceptions arrive on the side channel, so only load-time
+      // errors (which happen before the handler exists) come from stdout
+      errors = errors.filter(e => this._isLoadError(e));
+      exceptions = records
+        .filter(r => r.tag === 'exception')
+        .map(r => exceptionFromRecord(r, m => this._classifyError(m)));
+      errors.push(...exceptions);
+    }
+    errors.push(...dialogs.map(dialog => this._dialogError(dialog)));
+    this._locateErrors(errors, request.sourceMap, preambleLines);
 
     return {
       success: errors.length === 0 && !timedOut,
       output: output,
       executionTime: result.time,
       timedOut: timedOut,
+      blockedByDialog: dialogs.length > 0,
+      dialogs: dialogs,
       language: result.language,
       errors: errors,
+      exceptions: exceptions,
       hasErrors: errors.length > 0,
-      // Convenience method for Claude Code
-      summary: this._generateSummary(output, errors, timedOut),
+      screenshot: result.screenshot ? { mimeType: 'image/png', data: result.screenshot } : null,
+      files: this._decodeFiles(result.files),
+      // Emit() records from ahk/Lib/Emit.ahk
+      values: records.filter(r => r.tag === 'value').map(r => r.data),
+      ...(result.benchmark && { benchmark: result.benchmark }),
+      ...(request.cacheKey && {
+        cache: request.cacheHit ?
+          { hit: true, key: request.cacheKey, age: Date.now() - request.cacheHit.storedAt } :
+          { hit: false, key: request.cacheKey },
+      }),
+      // Older servers don't echo the timeout they applied
+      summary: this._generateSummary(output, errors, timedOut, result.timeout ?? request.timeout / 1000),
+    };
+  }
+
+  /**
+   * Written files from a response: text stays a string, binary becomes a Buffer
+   * @private
+   */
+  _decodeFiles(files) {
+    if (!files) return null;
+    return Object.fromEntries(Object.entries(files).map(([name, content]) => [
+      name,
+      typeof content === 'string' ? content : Buffer.from(content.base64, 'base64'),
+    ]));
+  }
+
+  /**
+   * Build the error for a window the script was stuck behind
+   *
+   * The dialog's text becomes the context, so AHK warning and error dialogs
+   * (which include a Line# listing) still map to a source line.
+   * @private
+   */
+  _dialogError(dialog) {
+    const message = `Script is blocked by a dialog: "${dialog.title}"`;
+    return {
+      type: this._classifyError(message),
+      message,
+      line: null,
+      context: (dialog.text || '').split(/\r?\n/).filter(line => line.trim()),
+      dialog,
     };
   }
 
@@ -99,6 +602,8 @@ export class CloudAHKClient {
       // AHK v1 errors
       /^Error(?:\s+in\s+#include)?:/i,
       /^Error:\s+/i,
+      /^Error at line \d+/i,
+      /\(\d+\) : ==> /,
       /-->\s*Line Text:/i,
       /-->\s*Line#:/i,
       /^Specifically:\s+/i,
@@ -124,17 +629,45 @@ export class CloudAHKClient {
       /^fixme:/i,
     ];
 
+    // Lines that belong to the error above them, even across blank lines
+    // (AHK error dialogs separate "Specifically:" and the Line# listing
+    // from the message with empty lines)
+    const contextPatterns = [
+      /^-+>/,
+      /^\u25B6/,
+      /^Line\b/,
+      /^Line Text:/,
+      /^What:/,
+      /^File:/,
+      /^Stack:/,
+      /^Specifically:/,
+      /^\d+:/,
+      /\(\d+\) : \[/,
+    ];
+
     let currentError = null;
-    let inErrorBlock = false;
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
       const trimmedLine = line.trim();
 
+      if (currentError) {
+        if (trimmedLine === '') continue;
+        if (contextPatterns.some(pattern => pattern.test(trimmedLine))) {
+          currentError.context.push(trimmedLine);
+          continue;
+        }
+      }
+
       // Check if this line starts an error
       const isErrorLine = errorPatterns.some(pattern => pattern.test(trimmedLine));
 
-      if (isErrorLine) {
+      if (isErrorLine && currentError && /^Error at line \d+/i.test(currentError.message)) {
+        // v1 load-time dialogs give the location before the message
+        currentError.context.unshift(currentError.message);
+        currentError.message = trimmedLine;
+        currentError.type = this._classifyError(trimmedLine);
+      } else if (isErrorLine) {
         if (currentError) {
           errors.push(currentError);
         }
@@ -144,24 +677,10 @@ export class CloudAHKClient {
           context: [],
           type: this._classifyError(trimmedLine),
         };
-        inErrorBlock = true;
-      } else if (inErrorBlock && currentError) {
-        // Continue capturing error context (stack traces, etc.)
-        if (trimmedLine.startsWith('-->') ||
-            trimmedLine.startsWith('Line') ||
-            trimmedLine.startsWith('What:') ||
-            trimmedLine.startsWith('File:') ||
-            trimmedLine.startsWith('Stack:') ||
-            /^\d+:/.test(trimmedLine)) {
-          currentError.context.push(trimmedLine);
-        } else if (trimmedLine === '' || (!trimmedLine.startsWith(' ') && !trimmedLine.startsWith('\t'))) {
-          // End of error block
-          errors.push(currentError);
-          currentError = null;
-          inErrorBlock = false;
-        } else {
-          currentError.context.push(trimmedLine);
-        }
+      } else if (currentError) {
+        // End of error block
+        errors.push(currentError);
+        currentError = null;
       }
     }
 
@@ -173,11 +692,122 @@ export class CloudAHKClient {
     return errors;
   }
 
+  /**
+   * Attach source positions to detected errors
+   *
+   * AHK reports line numbers relative to the script it loaded, which
+   * includes whatever preamble the server injected, so those lines are
+   * subtracted before mapping back through the source map.
+   * @private
+   */
+  _locateErrors(errors, sourceMap, preambleLines) {
+    for (const error of errors) {
+      const reported = error.reportedLine !== undefined
+        ? this._reportedLineFromException(error)
+        : this._findReportedLine(error);
+      const position = reported &&
+        sourceMap.originalPositionFor(reported.line - preambleLines);
+
+      if (!position) {
+        Object.assign(error, {
+          sourceFile: null,
+          sourceLine: null,
+          sourceColumn: null,
+          sourceText: null,
+          snippet: null,
+        });
+        continue;
+      }
+
+      Object.assign(error, {
+        sourceFile: position.file,
+        sourceLine: position.line,
+        sourceColumn: this._findColumn(error, position.text),
+        sourceText: position.text,
+        snippet: sourceMap.snippet(position.file, position.line),
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Find the script line number AHK reported for an error, if any
+   * @private
+   */
+  _findReportedLine(error) {
+    const texts = [error.message, ...error.context];
+    const linePatterns = [
+      // `* (3) : ==> Message` from /ErrorStdOut
+      /^(.*?) \((\d+)\) : ==> /,
+      // `Error at line 3.` from v1 load-time dialogs
+      /^()Error(?: in #include file ".*?")? at line (\d+)/i,
+      // `--->\t003: code` / `\u25B6\t003: code` in v1/v2 Line# listings
+      /^()(?:-+>|\u25B6)\s*(\d+):/,
+      // `Line#: 3`, `Line: 3`, `Line 3:`
+      /^()Line#?:?\s*(\d+)\b/,
+      // `* (3) : [Func] code` stack frames
+      /^(.*?) \((\d+)\) : \[/,
+      // Dumped exception objects: {"Line":3,...}
+      /()"Line":\s*"?(\d+)/,
+    ];
+
+    for (const pattern of linePatterns) {
+      for (const text of texts) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+        // Errors raised inside a library file don't map to the script
+        if (/[\\/]Lib[\\/]/i.test(match[1])) continue;
+        return { line: parseInt(match[2], 10) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the script line number from a captured exception
+   * @private
+   */
+  _reportedLineFromException(error) {
+    if (error.reportedLine === null) return null;
+    if (error.file && /[\\/]Lib[\\/]/i.test(error.file)) return null;
+    return { line: error.reportedLine };
+  }
+
+  /**
+   * Whether an error was reported while loading the script, before any of
+   * it ran (/ErrorStdOut `==>` lines and v1 `Error at line` dialogs)
+   * @private
+   */
+  _isLoadError(error) {
+    return /\(\d+\) : ==> /.test(error.message) ||
+      /^Error at line \d+/i.test(error.context[0] || '');
+  }
+
+  /**
+   * Find the column the error points at: the one the compiler or
+   * interpreter reported, else that of the `Specifically:` text
+   * @private
+   */
+  _findColumn(error, sourceText) {
+    if (sourceText === null) return null;
+    if (error.reportedColumn) {
+      return textColumn(sourceText, error.reportedColumn, error.tabWidth);
+    }
+    for (const text of [error.message, ...error.context]) {
+      const match = /^Specifically:\s*(.+)$/i.exec(text);
+      if (!match) continue;
+      const index = sourceText.indexOf(match[1].trim());
+      if (index !== -1) return index + 1;
+    }
+    return null;
+  }
+
   /**
    * Classify the error type
    * @private
    */
   _classifyError(message) {
+    if (/blocked by a dialog/i.test(message)) return 'dialog';
     if (/syntax|unexpected|missing|invalid/i.test(message)) return 'syntax';
     if (/undefined|nonexistent|not found|unset/i.test(message)) return 'reference';
     if (/type|typeerror/i.test(message)) return 'type';
@@ -190,9 +820,11 @@ export class CloudAHKClient {
    * Generate a human-readable summary for Claude Code
    * @private
    */
-  _generateSummary(output, errors, timedOut) {
+  _generateSummary(output, errors, timedOut, timeout) {
     if (timedOut) {
-      return 'Script execution timed out (exceeded 7 seconds). Check for infinite loops or blocking operations.';
+      const unit = timeout === 1 ? 'second' : 'seconds';
+      return `Script execution timed out (exceeded ${timeout} ${unit}). ` +
+        'Check for infinite loops or blocking operations.';
     }
 
     if (errors.length === 0) {
@@ -200,15 +832,22 @@ export class CloudAHKClient {
       return `Script executed successfully.\nOutput: ${outputPreview || '(no output)'}`;
     }
 
+    const hint = errors.some(e => e.type === 'dialog')
+      ? '\n\nDialogs can\'t be answered here: Print() instead of MsgBox, avoid InputBox and file pickers, ' +
+        'and end Gui scripts with ExitApp.'
+      : '';
     const errorSummary = errors.map(e => {
       let msg = `[${e.type}] ${e.message}`;
+      if (e.sourceLine) {
+        msg += ` (line ${e.sourceLine})`;
+      }
       if (e.context.length > 0) {
         msg += '\n  ' + e.context.slice(0, 3).join('\n  ');
       }
       return msg;
     }).join('\n\n');
 
-    return `Script failed with ${errors.length} error(s):\n\n${errorSummary}`;
+    return `Script failed with ${errors.length} error(s):\n\n${errorSummary}${hint}`;
   }
 
   /**
@@ -216,13 +855,15 @@ export class CloudAHKClient {
    * Returns true if code runs without errors
    *
    * @param {string} code - The AHK code to validate
-   * @param {Object} options
+   * @param {Object} options - Any `run()` option; language 'auto' detects the version
    * @returns {Promise<ValidationResult>}
    */
   async validate(code, options = {}) {
     const result = await this.run(code, options);
     return {
       valid: result.success,
+      language: result.language,
+      ...(result.versionDetection && { versionDetection: result.versionDetection }),
       errors: result.errors,
       message: result.success
         ? 'Code is valid and runs without errors'
@@ -231,29 +872,508 @@ export class CloudAHKClient {
   }
 
   /**
-   * Check if CloudAHK server is running
-   * @returns {Promise<boolean>}
+   * Check code for load-time (syntax) errors without running it
+   *
+   * Unlike `validate()`, nothing in the script executes, so it is safe for
+   * scripts with side effects and for persistent or hotkey scripts that
+   * would otherwise run until the timeout. AHK v1 stops at the first load
+   * error; v2 reports what its `/Validate` mode finds.
+   *
+   * @param {string} code - The AHK code to check
+   * @param {Object} options
+   * @param {string} [options.version] - 'v1' or 'v2' (default: detected like `run_ahk_file`)
+   * @param {string} [options.scriptPath] - Where the code lives, to bundle local #Include files
+   * @param {Array<string>} [options.libPaths] - Directories for `#Include <Lib>`
+   * @param {number} [options.timeout] - Time limit in ms (default: the client's timeout)
+   * @param {number} [options.memoryLimit] - Container memory limit in MB
+   * @returns {Promise<LintResult>}
    */
-  async isAvailable() {
+  async lint(code, options = {}) {
+    let language = languageForFile(options.scriptPath || '', code);
+    if (options.version) {
+      language = options.version === 'v2' ? 'ahk2' : 'ahk';
+    }
+    const request = await this._prepareRun(code, {
+      language,
+      scriptPath: options.scriptPath,
+      libPaths: options.libPaths,
+      timeout: options.timeout,
+      memoryLimit: options.memoryLimit,
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), request.timeout + REQUEST_OVERHEAD);
     try {
-      const response = await fetch(`${this.baseUrl}/`);
-      return response.ok;
+      const response = await this._post(request, 'lint', controller.signal);
+      if (!response.ok) {
+        throw await this._apiError(response);
+      }
+      const result = this._parseResult(await response.json(), request);
+      return {
+        valid: result.success,
+        errors: result.errors,
+        language: result.language,
+        message: result.success ? 'No syntax errors found' : result.summary,
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('CloudAHK request timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Format AHK code on the server: block, hotkey and label indentation,
+   * brace placement and the case of command names. Nothing runs, and
+   * nothing inside a line other than command names changes.
+   *
+   * @param {string} code - The AHK code to format
+   * @param {Object} options
+   * @param {string} [options.version] - 'v1' or 'v2' (default: detected like `lint()`)
+   * @param {string} [options.scriptPath] - Where the code lives, for version detection
+   * @param {string|number} [options.indent='tab'] - 'tab' or a number of spaces (1-8)
+   * @param {string} [options.braceStyle='preserve'] - 'preserve', 'otb' (`if x {`) or 'allman' (`{` on its own line)
+   * @param {boolean} [options.normalizeCase=true] - Write commands in their documented case (`msgbox` -> `MsgBox`)
+   * @returns {Promise<FormatResult>}
+   */
+  async format(code, options = {}) {
+    let language = languageForFile(options.scriptPath || '', code);
+    if (options.version) {
+      language = options.version === 'v2' ? 'ahk2' : 'ahk';
+    }
+    const params = new URLSearchParams({
+      indent: String(options.indent ?? 'tab'),
+      brace_style: options.braceStyle ?? 'preserve',
+      normalize_case: String(options.normalizeCase ?? true),
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout + REQUEST_OVERHEAD);
+    try {
+      const response = await this._fetch(`/format/${language}?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+        body: code,
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw await this._apiError(response);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('CloudAHK request timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Run many scripts, a few at a time, keeping results in input order
+   *
+   * Each request gets the client's own retries and endpoint fallback, so
+   * items are only tried again when the API key's quota turned them away
+   * (429), after backing off. Script errors and script timeouts are
+   * results, not failures, and are never retried.
+   *
+   * @param {Array<string|BatchItem>} items - Code strings or items with per-item options
+   * @param {Object} options - Also accepts any `run()` option as a default for every item
+   * @param {number} [options.concurrency] - Parallel requests (default: server container pool size)
+   * @param {string} [options.language='ahk'] - Default language for items that don't set one
+   * @param {boolean} [options.stopOnFirstFailure=false] - Skip remaining items once one fails
+   * @param {number} [options.retries=2] - Retries per item when rate-limited
+   * @param {number} [options.retryDelay=500] - Initial retry delay in ms, doubled per attempt
+   *   (or the server's Retry-After, when longer)
+   * @returns {Promise<BatchResult>}
+   */
+  async runBatch(items, options = {}) {
+    const {
+      concurrency: requestedConcurrency,
+      stopOnFirstFailure = false,
+      retries = DEFAULT_BATCH_RETRIES,
+      retryDelay = DEFAULT_BATCH_RETRY_DELAY,
+      ...runOptions
+    } = options;
+
+    const concurrency = requestedConcurrency || await this._defaultConcurrency();
+    const startTime = Date.now();
+    const results = new Array(items.length);
+    let next = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (!stopped && next < items.length) {
+        const index = next++;
+        const entry = await this._runBatchItem(items[index], index, runOptions, retries, retryDelay);
+        results[index] = entry;
+        if (stopOnFirstFailure && !entry.result?.success) {
+          stopped = true;
+        }
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    // Anything never started was skipped by stopOnFirstFailure
+    for (let i = 0; i < items.length; i++) {
+      if (!results[i]) {
+        results[i] = {
+          index: i,
+          id: this._batchItemId(items[i], i),
+          result: null,
+          error: null,
+          attempts: 0,
+          skipped: true,
+        };
+      }
+    }
+
+    return {
+      results,
+      stats: this._batchStats(results, (Date.now() - startTime) / 1000),
+    };
+  }
+
+  /**
+   * Run a single batch item, retrying when rate-limited
+   * @private
+   */
+  async _runBatchItem(item, index, defaults, retries, retryDelay) {
+    const { id, code, ...itemOptions } = typeof item === 'string' ? { code: item } : item;
+    const entry = {
+      index,
+      id: this._batchItemId(item, index),
+      result: null,
+      error: null,
+      attempts: 0,
+      skipped: false,
+    };
+
+    for (;;) {
+      entry.attempts++;
+      try {
+        entry.result = await this.run(code, { ...defaults, ...itemOptions });
+        entry.error = null;
+        return entry;
+      } catch (error) {
+        entry.error = error.message;
+        if (entry.attempts > retries || !(error instanceof RateLimitError)) {
+          return entry;
+        }
+        // Don't come back before the server said the quota frees up
+        await sleep(Math.max(retryDelay * 2 ** (entry.attempts - 1), error.retryAfter ?? 0));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _batchItemId(item, index) {
+    return typeof item === 'object' && item.id !== undefined ? item.id : index;
+  }
+
+  /**
+   * Default batch concurrency: one request per pooled container
+   * @private
+   */
+  async _defaultConcurrency() {
+    try {
+      return Math.max(1, await this.getContainerCount());
     } catch {
-      return false;
+      return 1;
+    }
+  }
+
+  /**
+   * Aggregate batch results
+   * @private
+   */
+  _batchStats(results, totalTime) {
+    const stats = {
+      total: results.length,
+      passed: 0,
+      failed: 0,
+      timedOut: 0,
+      errored: 0,
+      skipped: 0,
+      totalTime,
+    };
+    for (const entry of results) {
+      if (entry.skipped) stats.skipped++;
+      else if (!entry.result) stats.errored++;
+      else if (entry.result.timedOut) stats.timedOut++;
+      else if (entry.result.success) stats.passed++;
+      else stats.failed++;
+    }
+    return stats;
+  }
+
+  /**
+   * Time a script over repeated runs
+   *
+   * A run's `executionTime` is mostly Wine and AutoHotkey starting up, so
+   * the server times the script body itself, from its first line until it
+   * exits. Runs go one at a time, so they don't compete for the server's
+   * CPU, and never come from the cache.
+   *
+   * @param {string} code - The AHK code to time
+   * @param {Object} options - Also accepts `run()`'s timeout, memoryLimit, args, stdin
+   *   and files
+   * @param {string} [options.language='ahk'] - 'ahk', 'ahk2' or 'auto'
+   * @param {number} [options.iterations=10] - Runs to measure
+   * @param {number} [options.warmup=1] - Runs before those, not measured
+   * @returns {Promise<import('./benchmark.js').BenchmarkResult>}
+   * @throws {Error} When a run fails (with the run as `error.result`), or the
+   *   server doesn't support benchmarks
+   */
+  async benchmark(code, options = {}) {
+    const {
+      iterations = DEFAULT_BENCHMARK_ITERATIONS,
+      warmup = DEFAULT_BENCHMARK_WARMUP,
+      ...runOptions
+    } = options;
+    if (!Number.isInteger(iterations) || iterations < 1 || !Number.isInteger(warmup) || warmup < 0) {
+      throw new Error('iterations must be a positive integer and warmup a non-negative one');
+    }
+    const language = runOptions.language === 'auto' ? detectVersion(code).language : runOptions.language || 'ahk';
+
+    const runs = [];
+    let result;
+    for (let i = 0; i < warmup + iterations; i++) {
+      result = await this.run(code, { ...runOptions, language, benchmark: true, cache: false });
+      if (!result.success) {
+        const error = new Error(`Benchmark run ${i + 1} failed: ${result.summary}`);
+        error.result = result;
+        throw error;
+      }
+      if (!result.benchmark || result.benchmark.body === null) {
+        throw new Error('The server did not time the script; it may not support benchmarks');
+      }
+      if (i >= warmup) {
+        runs.push({ body: result.benchmark.body * 1000, startup: result.benchmark.startup * 1000 });
+      }
+    }
+
+    return {
+      language,
+      iterations,
+      warmup,
+      body: summarizeTimes(runs.map((run) => run.body)),
+      startup: summarizeTimes(runs.map((run) => run.startup)),
+      runs,
+      output: result.output,
+    };
+  }
+
+  /**
+   * Open a session: a container kept for a series of runs, so they skip
+   * starting Wine and can use the files earlier runs wrote
+   *
+   * @example
+   * const session = await client.session();
+   * try {
+   *   await session.run('FileAppend, % "x := 42", helper.ahk');
+   *   const result = await session.run('#Include helper.ahk\nPrint(x)');
+   * } finally {
+   *   await session.close();
+   * }
+   *
+   * @param {Object} options
+   * @param {number} [options.memoryLimit] - Memory limit in MB for every run in it
+   * @returns {Promise<Session>}
+   * @throws {APIError} 503 when the server has no room for another session
+   */
+  async session(options = {}) {
+    const memoryLimit = options.memoryLimit ?? this.memoryLimit;
+    const params = new URLSearchParams(memoryLimit ? { memory: String(memoryLimit) } : {});
+    const response = await this._fetch(`/sessions?${params}`, { method: 'POST' });
+    if (!response.ok) {
+      throw await this._apiError(response);
+    }
+    // Later requests have to reach the same host
+    const endpoint = response.url.slice(0, response.url.lastIndexOf('/sessions'));
+    return new Session(this, endpoint, await response.json(), { requestOverhead: REQUEST_OVERHEAD });
+  }
+
+  /**
+   * Empty the result cache
+   *
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    await this.cache?.clear();
+  }
+
+  /**
+   * Check if CloudAHK server is running
+   *
+   * @param {string} [url] - Check this endpoint only (default: true if any responds)
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable(url) {
+    for (const endpoint of url ? [url] : this.pool.endpoints.map((e) => e.url)) {
+      try {
+        const response = await this._fetchAt(endpoint, '/', { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT) });
+        if (response.ok) return true;
+      } catch {
+        // Try the next endpoint
+      }
     }
+    return false;
   }
 
   /**
    * Get the number of containers in the pool
+   *
+   * @param {string} [url] - Ask this endpoint only (default: the total over all
+   *   endpoints that answer)
    * @returns {Promise<number>}
    */
-  async getContainerCount() {
-    const response = await fetch(`${this.baseUrl}/containers`);
+  async getContainerCount(url) {
+    const count = async (endpoint) => {
+      const response = await this._fetchAt(endpoint, '/containers', { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT) });
+      const data = await response.json();
+      return data.num;
+    };
+    if (url || this.pool.endpoints.length === 1) {
+      return count(url || this.baseUrl);
+    }
+
+    const counts = await Promise.allSettled(this.pool.endpoints.map((e) => count(e.url)));
+    const answered = counts.filter((c) => c.status === 'fulfilled');
+    if (answered.length === 0) {
+      throw counts[0].reason;
+    }
+    return answered.reduce((total, c) => total + c.value, 0);
+  }
+
+  /**
+   * Check every endpoint's availability and free containers, which decide
+   * where requests go
+   *
+   * Done automatically before requests when there are several endpoints and
+   * the last check is older than `healthCheckInterval`.
+   *
+   * @returns {Promise<Array<import('./endpoints.js').EndpointStats>>}
+   */
+  async checkHealth() {
+    await Promise.all(this.pool.endpoints.map(async (endpoint) => {
+      const healthy = await this.isAvailable(endpoint.url);
+      const freeContainers = healthy ? await this.getContainerCount(endpoint.url).catch(() => null) : null;
+      this.pool.recordHealth(endpoint, healthy, freeContainers);
+    }));
+    return this.getEndpointStats();
+  }
+
+  /**
+   * Per-endpoint health, load, circuit state and request metrics
+   *
+   * @returns {Array<import('./endpoints.js').EndpointStats>}
+   */
+  getEndpointStats() {
+    return this.pool.stats();
+  }
+
+  /**
+   * Get the server's pool and run metrics (GET /metrics)
+   *
+   * @param {string} [url] - Ask this endpoint (default: baseUrl)
+   * @returns {Promise<import('./metrics.js').ServerMetrics>}
+   */
+  async getServerMetrics(url) {
+    const response = await this._fetchAt(url || this.baseUrl, '/metrics', { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT) });
+    if (!response.ok) {
+      throw await this._apiError(response);
+    }
+    return summarizeMetrics(parseMetrics(await response.text()));
+  }
+
+  /**
+   * List the languages the server runs: AutoHotkey v1 and v2, Relax, and
+   * the interpreters installed for unix scripts
+   *
+   * @returns {Promise<Array<LanguageInfo>>}
+   */
+  async listLanguages() {
+    const response = await this._fetch('/languages');
+    if (!response.ok) {
+      throw await this._apiError(response);
+    }
+    return (await response.json()).languages;
+  }
+
+  /**
+   * List the function libraries in the server's ahk/Lib, which scripts use
+   * with `#Include <Name>`, and the functions and classes each defines
+   *
+   * @returns {Promise<Array<LibInfo>>}
+   */
+  async listLibs() {
+    const response = await this._fetch('/libs');
+    if (!response.ok) {
+      throw await this._apiError(response);
+    }
+    return (await response.json()).libs;
+  }
+
+  /**
+   * Get one library from ahk/Lib, with its source
+   *
+   * @param {string} name - The library's name, without .ahk (any case)
+   * @returns {Promise<LibInfo & {source: string}>}
+   */
+  async getLib(name) {
+    const response = await this._fetch(`/libs/${encodeURIComponent(name)}`);
+    if (!response.ok) {
+      throw await this._apiError(response);
+    }
+    return response.json();
+  }
+
+  /**
+   * Get the server's default and maximum resource limits
+   * @returns {Promise<ServerLimits>}
+   */
+  async getLimits() {
+    const response = await this._fetch('/limits');
+    if (!response.ok) {
+      throw await this._apiError(response);
+    }
     const data = await response.json();
-    return data.num;
+    return {
+      timeout: { default: data.timeout.default * 1000, max: data.timeout.max * 1000 },
+      memoryLimit: data.memory,
+    };
   }
 }
 
+/**
+ * Guess the AHK language for a script file from its extension or contents
+ * (see `detectVersion()`)
+ *
+ * @param {string} filePath - Path of the script
+ * @param {string} code - Contents of the script
+ * @returns {string} 'ahk2' for v2 scripts, otherwise 'ahk'
+ */
+export function languageForFile(filePath, code) {
+  if (filePath.endsWith('.ahk2')) {
+    return 'ahk2';
+  }
+  return detectVersion(code).language;
+}
+
+export { detectVersion };
+export { compareBenchmarks } from './benchmark.js';
+export { Session } from './session.js';
+export { APIError, AuthenticationError, RateLimitError } from './errors.js';
+
 // Default export for convenience
 export default CloudAHKClient;
 
@@ -263,23 +1383,147 @@ export default CloudAHKClient;
  * @property {string} output - The stdout output from the script
  * @property {number|null} executionTime - Execution time in seconds, null if timed out
  * @property {boolean} timedOut - Whether the script timed out
+ * @property {boolean} blockedByDialog - Whether the script was stopped because it was
+ *   stuck behind a dialog (reported in `errors` with type 'dialog')
+ * @property {Array<Dialog>} dialogs - The dialogs it was stuck behind
  * @property {string} language - The language that was executed
  * @property {Array<AHKError>} errors - Detected errors
+ * @property {Array<import('./exceptions.js').AHKException>} exceptions - Uncaught
+ *   exceptions reported by the OnError handler (empty unless `captureExceptions`)
  * @property {boolean} hasErrors - Whether any errors were detected
+ * @property {{mimeType: string, data: string}|null} screenshot - Base64 PNG of the
+ *   display, when requested and the server could capture it
+ * @property {Object<string, string|Buffer>|null} files - Files the script created or
+ *   changed in its working directory (text as strings, binary as Buffers); null
+ *   unless the run sent `args`, `stdin` or `files`
+ * @property {Array<*>} values - What the script passed to `Emit()`, parsed from JSON,
+ *   in order (null for a record that wasn't valid JSON)
  * @property {string} summary - Human-readable summary for Claude Code
+ * @property {{body: number|null, startup: number|null}} [benchmark] - With the
+ *   `benchmark` option: seconds the script body ran, and the rest of `executionTime`
+ * @property {VersionDetection} [versionDetection] - How the version was picked,
+ *   for runs with language 'auto'
+ * @property {{hit: boolean, key: string, age?: number}} [cache] - When the client
+ *   caches: whether this result came from the cache, its key, and on a hit how
+ *   long ago (ms) it was stored
+ */
+
+/**
+ * @typedef {import('./version.js').VersionGuess & {retriedAs: string|null}} VersionDetection
+ *   The guess, plus the version it was retried under ('v1' or 'v2') after a
+ *   load error suggesting a mismatch. `language` on the result tells which run
+ *   was kept: the retry if it loaded, otherwise the first.
+ */
+
+/**
+ * @typedef {Object} Dialog
+ * @property {string} class - Window class ('#32770' for MsgBox and other dialogs)
+ * @property {string} title - Window title
+ * @property {string} text - Text of the window's controls, one per line
+ * @property {string} process - Executable that owns the window
  */
 
 /**
  * @typedef {Object} AHKError
- * @property {number} line - Line number in output where error appears
+ * @property {number|null} line - Line number in output where error appears (null for dialogs)
  * @property {string} message - The error message
  * @property {Array<string>} context - Additional context lines
- * @property {string} type - Error type: 'syntax', 'reference', 'type', 'runtime', 'timeout', 'wine'
+ * @property {string} type - Error type: 'syntax', 'reference', 'type', 'runtime', 'timeout',
+ *   'wine', 'dialog'
+ * @property {string|null} sourceFile - File the line came from, when run with `scriptPath`
+ * @property {number|null} sourceLine - Line in the submitted script, adjusted for injected preamble
+ * @property {number|null} sourceColumn - Column of the offending text, when reported
+ * @property {string} [stage] - Relax only: 'lexer', 'parser' or 'codegen' for compile
+ *   errors, 'run' for a non-zero exit code
+ * @property {string|null} sourceText - The offending line of the submitted script
+ * @property {string|null} snippet - The offending line with surrounding lines, marked with `>`
+ */
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {string} code - The code to execute
+ * @property {string|number} [id] - Identifier echoed back in the result (default: index)
+ * Any other property is passed to `run()` as an option for this item.
+ */
+
+/**
+ * @typedef {Object} BatchEntry
+ * @property {number} index - Position of the item in the input
+ * @property {string|number} id - The item's id, or its index
+ * @property {ExecutionResult|null} result - Null if the request failed or was skipped
+ * @property {string|null} error - Request error after the last attempt
+ * @property {number} attempts - Requests made for this item
+ * @property {boolean} skipped - Not run because of stopOnFirstFailure
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {Array<BatchEntry>} results - One entry per item, in input order
+ * @property {Object} stats
+ * @property {number} stats.total - Number of items
+ * @property {number} stats.passed - Items that ran without errors
+ * @property {number} stats.failed - Items that ran with errors
+ * @property {number} stats.timedOut - Items whose script timed out
+ * @property {number} stats.errored - Items whose request failed after retries
+ * @property {number} stats.skipped - Items skipped by stopOnFirstFailure
+ * @property {number} stats.totalTime - Wall-clock time for the batch in seconds
  */
 
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether the code is valid
+ * @property {string} language - The language that was executed
+ * @property {VersionDetection} [versionDetection] - How the version was picked
+ *   (language 'auto')
  * @property {Array<AHKError>} errors - Detected errors
  * @property {string} message - Human-readable message
  */
+
+/**
+ * @typedef {Object} LintResult
+ * @property {boolean} valid - Whether the code loads without errors
+ * @property {Array<AHKError>} errors - Load-time errors, with source positions
+ * @property {string} language - The language the code was checked as
+ * @property {string} message - Human-readable message
+ */
+
+/**
+ * @typedef {Object} FormatResult
+ * @property {string} code - The formatted code
+ * @property {boolean} changed - Whether formatting changed anything
+ * @property {string} language - The language the code was formatted as ('ahk' or 'ahk2')
+ */
+
+/**
+ * @typedef {Object} LanguageInfo
+ * @property {string} name - What to pass as `language`: 'ahk', 'ahk2', 'rlx' or an interpreter
+ * @property {string} kind - 'ahk', 'rlx' or 'unix'
+ * @property {string} description - What runs the code
+ * @property {string|null} path - Where a unix interpreter is installed
+ * @property {boolean} lint - Whether `lint()` accepts it
+ * @property {boolean} format - Whether `format()` accepts it
+ */
+
+/**
+ * @typedef {Object} LibInfo
+ * @property {string} name - The library's name, e.g. 'Jxon'
+ * @property {string} file - Its file in ahk/Lib
+ * @property {string} include - The line that includes it, e.g. '#Include <Jxon>'
+ * @property {Array<LibFunction>} functions - Its top-level functions and classes
+ */
+
+/**
+ * @typedef {Object} LibFunction
+ * @property {string} name
+ * @property {string} kind - 'function' or 'class'
+ * @property {string} signature - e.g. 'Jxon_Dump(obj, indent:="", lvl:=1)'
+ * @property {number} line - 1-based line of the definition
+ * @property {string|null} doc - The comments above it
+ * @property {Array<string>} members - A class's methods and nested classes
+ */
+
+/**
+ * @typedef {Object} ServerLimits
+ * @property {{default: number, max: number}} timeout - Script timeout in ms
+ * @property {{default: number, min: number, max: number}} memoryLimit - Container memory in MB
+ */
@@ -0,0 +1,302 @@
+/**
+ * Error Detection for Relax and Unix Scripts
+ *
+ * AHK errors are scraped from stdout by the client itself. Other languages
+ * report errors their own way, so each gets a parser here: the Relax
+ * compiler's diagnostics, Python and Node.js tracebacks, Perl and PHP error
+ * lines, and shell `line N:` messages.
+ *
+ * Parsers return errors shaped like the client's AHK errors, plus the line
+ * the interpreter blamed in the script (`reportedLine`, null when it named
+ * none or another file) and, when given, the column (`reportedColumn`).
+ */
+
+// The script as the server runs it: `tmp.bin` for plain text requests,
+// `script` for JSON ones, in the container's /tmp
+const SCRIPT_FILE = /^(?:\.\/|\/tmp\/)?(?:tmp\.bin|script)$/;
+
+// Relax compiler messages by the stage that reports them; anything else
+// comes from the parser (which also does type checking)
+const RELAX_LEXER_MESSAGES = [
+  'Expected close single quote for character constant',
+  'Expected closing comment character',
+  'Expected close quote before EOF',
+  'Unexpected character',
+];
+const RELAX_CODEGEN_MESSAGES = [
+  'Function is declared, but never defined.',
+  'Calls to DllImported functions are not allowed when compiling to .elf',
+  'Called function is only declared, and never defined',
+];
+
+const PYTHON_TYPES = {
+  SyntaxError: 'syntax',
+  IndentationError: 'syntax',
+  TabError: 'syntax',
+  NameError: 'reference',
+  AttributeError: 'reference',
+  ImportError: 'reference',
+  ModuleNotFoundError: 'reference',
+  UnboundLocalError: 'reference',
+  TypeError: 'type',
+};
+
+/**
+ * The error parser for a language, or null for AHK (which the client
+ * handles itself)
+ *
+ * @param {string} language - 'rlx', or the interpreter of a unix script
+ * @returns {Function|null} (output, classify) => errors
+ */
+export function errorParserFor(language) {
+  if (['ahk', 'ahk2'].includes(language)) return null;
+  if (language === 'rlx') return detectRelaxErrors;
+  if (/^python/.test(language)) return withEnvErrors(detectPythonErrors);
+  if (/^node(?:js)?$/.test(language)) return withEnvErrors(detectNodeErrors);
+  if (/^perl/.test(language)) return withEnvErrors(detectPerlErrors);
+  if (/^php/.test(language)) return withEnvErrors(detectPhpErrors);
+  return withEnvErrors(detectShellErrors);
+}
+
+/**
+ * The interpreter a unix script names in its `#!` line
+ *
+ * @param {string} code
+ * @returns {string|null} e.g. 'python3' for `#!/usr/bin/env python3` or `#!/usr/bin/python3`
+ */
+export function shebangInterpreter(code) {
+  const match = /^#!\s*(?:\/usr\/bin\/env\s+(?:-\S+\s+)*)?(?:\S*\/)?([^\s/]+)/.exec(code);
+  return match ? match[1] : null;
+}
+
+/**
+ * The 1-based column in `text` of a column counted with tabs `tabWidth`
+ * wide, as the Relax compiler counts them
+ *
+ * @param {string} text - The source line
+ * @param {number} displayColumn - 1-based
+ * @param {number} [tabWidth=1]
+ * @returns {number}
+ */
+export function textColumn(text, displayColumn, tabWidth = 1) {
+  let width = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (width >= displayColumn - 1) return i + 1;
+    width += text[i] === '\t' ? tabWidth : 1;
+  }
+  return text.length + 1;
+}
+
+/**
+ * Relax compiler diagnostics, printed as the message, the file, the line
+ * and a caret row under the offending token:
+ *
+ *   Unknown struct field
+ *      [ /tmp/source.rlx ]
+ *    12 | 	a.b := 1
+ *       |------^
+ *
+ * A program that compiles prints `Exit code: N` before its output; a
+ * non-zero code is reported as a runtime error.
+ * @private
+ */
+function detectRelaxErrors(output) {
+  const errors = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const exit = /^Exit code: (\d+)$/.exec(lines[i].trim());
+    if (exit && i === firstNonBlank(lines)) {
+      if (exit[1] !== '0') {
+        errors.push(error(i, `Program exited with code ${exit[1]}`, 'runtime', { stage: 'run' }));
+      }
+      // The rest is the program's own output
+      break;
+    }
+    if (!/^\s+\[ .* \]$/.test(lines[i])) continue;
+    const source = /^\s*(\d+) \| (.*)$/.exec(lines[i + 1] || '');
+    const caret = /^\s+\|(-*)\^/.exec(lines[i + 2] || '');
+    if (!source) continue;
+
+    // The message is the last thing printed before the file (type errors
+    // leave a blank line between them)
+    let end = i;
+    while (end > 0 && lines[end - 1].trim() === '') end--;
+    let start = end;
+    while (start > 0 && lines[start - 1].trim() !== '' && !/^\s+\|-*\^/.test(lines[start - 1])) start--;
+    const message = lines.slice(start, end).map((line) => line.trim()).join(' ') || 'Compile error';
+    const stage = RELAX_LEXER_MESSAGES.includes(message) ? 'lexer'
+      : RELAX_CODEGEN_MESSAGES.includes(message) ? 'codegen' : 'parser';
+    errors.push(error(start, message, stage === 'parser' && / types?\b/i.test(message) ? 'type' : 'syntax', {
+      stage,
+      context: [lines[i + 1].trim(), ...(caret ? [lines[i + 2].trim()] : [])],
+      reportedLine: Number(source[1]),
+      // The caret row starts with one dash of its own
+      reportedColumn: caret ? caret[1].length : null,
+      tabWidth: 4,
+    }));
+    i += caret ? 2 : 1;
+  }
+  return errors;
+}
+
+/**
+ * Python tracebacks, and the SyntaxError report that has no
+ * `Traceback` header
+ * @private
+ */
+function detectPythonErrors(output, classify) {
+  const errors = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const traceback = lines[i].startsWith('Traceback (most recent call last):');
+    if (!traceback && !/^\s+File ".*", line \d+/.test(lines[i])) continue;
+
+    const start = i;
+    const context = [];
+    let reportedLine = null;
+    if (traceback) i++;
+    for (; i < lines.length && /^\s/.test(lines[i]); i++) {
+      const frame = /^\s+File "(.*)", line (\d+)/.exec(lines[i]);
+      if (frame && SCRIPT_FILE.test(frame[1])) reportedLine = Number(frame[2]);
+      context.push(lines[i].trim());
+    }
+    const message = (lines[i] || '').trim() || 'Uncaught exception';
+    const name = /^([\w.]+)(?::|$)/.exec(message)?.[1].split('.').pop();
+    errors.push(error(start, message, PYTHON_TYPES[name] ?? classify(message), { context, reportedLine }));
+  }
+  return errors;
+}
+
+/**
+ * Node.js uncaught errors: the `file:line` and source excerpt, then the
+ * message and its stack
+ * @private
+ */
+function detectNodeErrors(output, classify) {
+  const errors = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const start = i;
+    let reportedLine = null;
+    const header = /^(\S+):(\d+)$/.exec(lines[i]);
+    if (header && SCRIPT_FILE.test(header[1])) {
+      reportedLine = Number(header[2]);
+      // Past the source excerpt and caret to the message
+      while (i < lines.length && lines[i].trim() !== '') i++;
+      while (i < lines.length && lines[i].trim() === '') i++;
+    } else if (!/^\w*(?:Error|Exception)\b/.test(lines[i]) || !/^\s+at /.test(lines[i + 1] || '')) {
+      continue;
+    }
+
+    const message = (lines[i] || '').trim() || 'Uncaught exception';
+    const context = [];
+    let reportedColumn = null;
+    for (; /^\s+at /.test(lines[i + 1] || ''); i++) {
+      const frame = /\(?([^\s(]+?):(\d+):(\d+)\)?$/.exec(lines[i + 1].trim());
+      if (reportedColumn === null && frame && SCRIPT_FILE.test(frame[1])) {
+        reportedLine = Number(frame[2]);
+        reportedColumn = Number(frame[3]);
+      }
+      context.push(lines[i + 1].trim());
+    }
+    errors.push(error(start, message, classify(message), { context, reportedLine, reportedColumn }));
+  }
+  return errors;
+}
+
+/**
+ * Perl's `... at FILE line N.` errors
+ * @private
+ */
+function detectPerlErrors(output, classify) {
+  const errors = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const match = /^(.*) at (\S+) line (\d+)(?:, .*|\.)$/.exec(lines[i].trim());
+    if (match) {
+      const type = /^syntax error/.test(match[1]) ? 'syntax' : classify(match[1]);
+      errors.push(error(i, lines[i].trim(), type, {
+        reportedLine: SCRIPT_FILE.test(match[2]) ? Number(match[3]) : null,
+      }));
+    } else if (errors.length > 0 && /^(?:Execution of .* aborted|BEGIN not safe)/.test(lines[i].trim())) {
+      errors.at(-1).context.push(lines[i].trim());
+    }
+  }
+  return errors;
+}
+
+/**
+ * PHP parse and fatal errors. The CLI can print each twice, to stderr
+ * with a `PHP ` prefix and to stdout without, so repeats are dropped.
+ * @private
+ */
+function detectPhpErrors(output, classify) {
+  const errors = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const match = /^(?:PHP )?(Parse error|Fatal error):\s+(.*?)(?: in (\S+?)(?: on line |:)(\d+))?$/.exec(lines[i].trim());
+    if (!match) continue;
+    const message = `${match[1]}: ${match[2]}`;
+    const context = [];
+    for (; /^(?:Stack trace:|#\d+ |\s+thrown in )/.test(lines[i + 1] || ''); i++) {
+      context.push(lines[i + 1].trim());
+    }
+    if (errors.some((e) => e.message === message)) continue;
+    errors.push(error(i, message, match[1] === 'Parse error' ? 'syntax' : classify(message), {
+      context,
+      reportedLine: match[3] && SCRIPT_FILE.test(match[3]) ? Number(match[4]) : null,
+    }));
+  }
+  return errors;
+}
+
+/**
+ * Shell errors naming the script and a line: `FILE: line N: ...` (bash,
+ * ash), `FILE: N: ...` (dash), `FILE:N: ...` (zsh), `FILE (line N): ...`
+ * (fish)
+ * @private
+ */
+function detectShellErrors(output, classify) {
+  const errors = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const match = /^(\S+?)(?:: line (\d+)|: (\d+)|:(\d+)| \(line (\d+)\)): (.*)$/.exec(lines[i].trim());
+    if (!match || !SCRIPT_FILE.test(match[1])) continue;
+    const message = match[6];
+    const type = /syntax error|unexpected/i.test(message) ? 'syntax'
+      : /not found|unknown command/i.test(message) ? 'reference' : classify(message);
+    errors.push(error(i, message, type, {
+      reportedLine: Number(match[2] ?? match[3] ?? match[4] ?? match[5]),
+    }));
+  }
+  return errors;
+}
+
+/**
+ * Add the error `env` prints when the interpreter isn't installed
+ * @private
+ */
+function withEnvErrors(parser) {
+  return (output, classify) => {
+    const missing = /^\/usr\/bin\/env: ['‘]?([^'’:]+)['’]?: No such file or directory$/m.exec(output);
+    if (missing) {
+      const index = output.slice(0, missing.index).split('\n').length - 1;
+      return [error(index, `Interpreter not installed: ${missing[1]}`, 'reference', { context: [missing[0]] })];
+    }
+    return parser(output, classify);
+  };
+}
+
+/**
+ * @private
+ */
+function error(index, message, type, fields = {}) {
+  return { line: index + 1, message, context: [], type, reportedLine: null, file: null, ...fields };
+}
+
+/**
+ * @private
+ */
+function firstNonBlank(lines) {
+  return lines.findIndex((line) => line.trim() !== '');
+}
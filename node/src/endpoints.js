@@ -0,0 +1,228 @@
+/**
+ * CloudAHK Endpoint Pool
+ *
+ * Tracks the CloudAHK hosts a client can use: how many free containers each
+ * reported at its last health check, how many requests it is handling, and a
+ * circuit breaker per host so one that keeps failing is left alone for a
+ * while instead of slowing every request down.
+ *
+ * Circuit states:
+ *   closed    - Normal; consecutive failures are counted
+ *   open      - `failureThreshold` failures in a row; skipped until
+ *               `resetTimeout` has passed
+ *   half-open - One trial request is let through; success closes the
+ *               circuit, failure opens it again
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_RESET_TIMEOUT = 30000;
+
+/**
+ * Endpoints with health, load and circuit breaker state
+ */
+export class EndpointPool {
+  /**
+   * @param {Array<string>} urls - Base URLs of the CloudAHK hosts
+   * @param {Object} options
+   * @param {number} [options.failureThreshold=3] - Consecutive failures that open a circuit
+   * @param {number} [options.resetTimeout=30000] - ms before an open circuit lets a trial through
+   * @param {Function} [options.emit] - Called with (event, data) for each decision
+   */
+  constructor(urls, options = {}) {
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    this.resetTimeout = options.resetTimeout ?? DEFAULT_RESET_TIMEOUT;
+    this._emit = options.emit || (() => {});
+    this.endpoints = urls.map((url) => ({
+      url: url.replace(/\/+$/, ''),
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      healthy: null,
+      freeContainers: null,
+      checkedAt: null,
+      inFlight: 0,
+      requests: 0,
+      failures: 0,
+      retries: 0,
+      totalLatency: 0,
+    }));
+  }
+
+  /**
+   * Pick the endpoint for the next request: circuit not open, then healthy,
+   * then the most free containers not already taken by requests in flight
+   *
+   * @param {Set<string>} [exclude] - URLs to avoid (already failed this request)
+   * @returns {Object|null} The endpoint, or null when every circuit is open
+   */
+  select(exclude = new Set()) {
+    const now = Date.now();
+    const usable = this.endpoints.filter((endpoint) => this._usable(endpoint, now));
+    // Rather retry a host that failed this request than give up
+    const candidates = usable.filter((endpoint) => !exclude.has(endpoint.url));
+    const pool = candidates.length > 0 ? candidates : usable;
+    if (pool.length === 0) return null;
+
+    const best = pool.reduce((a, b) => (rank(b) > rank(a) ? b : a));
+    if (best.state === 'open') {
+      this._setState(best, 'half-open');
+    }
+    if (best.state === 'half-open') {
+      best.trialInFlight = true;
+    }
+    this._emit('select', {
+      url: best.url,
+      freeContainers: best.freeContainers,
+      inFlight: best.inFlight,
+      state: best.state,
+    });
+    return best;
+  }
+
+  /**
+   * Note that a request to the endpoint started
+   */
+  start(endpoint) {
+    endpoint.inFlight++;
+    endpoint.requests++;
+  }
+
+  /**
+   * Note a request that got an answer (even an error status the host chose
+   * to send)
+   *
+   * @param {Object} endpoint
+   * @param {number} latency - ms until the response
+   */
+  succeed(endpoint, latency) {
+    endpoint.inFlight--;
+    endpoint.totalLatency += latency;
+    endpoint.consecutiveFailures = 0;
+    endpoint.trialInFlight = false;
+    if (endpoint.state !== 'closed') {
+      this._setState(endpoint, 'closed');
+    }
+  }
+
+  /**
+   * Note a request that was abandoned before an answer (timeout or cancel),
+   * which says nothing about the host
+   */
+  release(endpoint) {
+    endpoint.inFlight--;
+    endpoint.requests--;
+    endpoint.trialInFlight = false;
+  }
+
+  /**
+   * Note a request that failed because of the host (network error, 5xx)
+   *
+   * @param {Object} endpoint
+   * @param {Error} error
+   */
+  fail(endpoint, error) {
+    endpoint.inFlight--;
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.trialInFlight = false;
+    if (endpoint.state === 'half-open' ||
+        (endpoint.state === 'closed' && endpoint.consecutiveFailures >= this.failureThreshold)) {
+      endpoint.openedAt = Date.now();
+      this._setState(endpoint, 'open', error);
+    }
+  }
+
+  /**
+   * Record the result of a health check
+   *
+   * @param {Object} endpoint
+   * @param {boolean} healthy
+   * @param {number|null} freeContainers
+   */
+  recordHealth(endpoint, healthy, freeContainers) {
+    endpoint.healthy = healthy;
+    endpoint.freeContainers = freeContainers;
+    endpoint.checkedAt = Date.now();
+    this._emit('health', { url: endpoint.url, healthy, freeContainers });
+  }
+
+  /**
+   * Whether any endpoint's health is older than maxAge ms
+   *
+   * @param {number} maxAge
+   * @returns {boolean}
+   */
+  isStale(maxAge) {
+    const now = Date.now();
+    return this.endpoints.some((endpoint) => endpoint.checkedAt === null || now - endpoint.checkedAt > maxAge);
+  }
+
+  /**
+   * Per-endpoint metrics
+   *
+   * @returns {Array<EndpointStats>}
+   */
+  stats() {
+    return this.endpoints.map((endpoint) => {
+      const answered = endpoint.requests - endpoint.failures - endpoint.inFlight;
+      return {
+        url: endpoint.url,
+        state: endpoint.state,
+        healthy: endpoint.healthy,
+        freeContainers: endpoint.freeContainers,
+        inFlight: endpoint.inFlight,
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        retries: endpoint.retries,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        averageLatency: answered > 0 ? Math.round(endpoint.totalLatency / answered) : null,
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _usable(endpoint, now) {
+    if (endpoint.state === 'open') return now - endpoint.openedAt >= this.resetTimeout;
+    if (endpoint.state === 'half-open') return !endpoint.trialInFlight;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _setState(endpoint, state, error = null) {
+    endpoint.state = state;
+    this._emit('circuit', {
+      url: endpoint.url,
+      state,
+      ...(error && { error: error.message }),
+    });
+  }
+}
+
+/**
+ * Preference order for select(): healthy first, then spare capacity
+ * @private
+ */
+function rank(endpoint) {
+  const health = endpoint.healthy === false ? 0 : 1;
+  const free = (endpoint.freeContainers ?? 1) - endpoint.inFlight;
+  return health * 1e6 + free;
+}
+
+/**
+ * @typedef {Object} EndpointStats
+ * @property {string} url - Base URL
+ * @property {string} state - Circuit state: 'closed', 'open' or 'half-open'
+ * @property {boolean|null} healthy - Result of the last health check (null before one)
+ * @property {number|null} freeContainers - Pool size reported at the last health check
+ * @property {number} inFlight - Requests waiting for a response
+ * @property {number} requests - Requests sent, including retries
+ * @property {number} failures - Network errors and retryable statuses
+ * @property {number} retries - Requests retried after failing here
+ * @property {number} consecutiveFailures - Failures since the last success
+ * @property {number|null} averageLatency - Mean ms until a response
+ */
@@ -0,0 +1,89 @@
+/**
+ * CloudAHK API Errors
+ *
+ * Requests the server refused are thrown as one of these, so callers can
+ * tell a missing API key or a used-up quota from a script that failed.
+ * Every one keeps the HTTP `status` and the server's `detail`.
+ */
+
+/**
+ * A request the CloudAHK API answered with an error status
+ */
+export class APIError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} statusText - HTTP status text
+   * @param {string|null} detail - The server's explanation, if it gave one
+   */
+  constructor(status, statusText, detail = null) {
+    super(`CloudAHK API error: ${status} ${statusText}${detail ? `: ${detail}` : ''}`);
+    this.name = 'APIError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * The API key was missing or not accepted (401/403)
+ */
+export class AuthenticationError extends APIError {
+  constructor(status, statusText, detail) {
+    super(status, statusText, detail);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The API key's rate or concurrency quota is used up (429)
+ */
+export class RateLimitError extends APIError {
+  /**
+   * @param {number} status
+   * @param {string} statusText
+   * @param {string|null} detail
+   * @param {Object} options
+   * @param {number|null} [options.retryAfter] - ms to wait before trying again
+   * @param {string|null} [options.quota] - The quota that was hit: 'rate' or 'concurrency'
+   */
+  constructor(status, statusText, detail, options = {}) {
+    super(status, statusText, detail);
+    this.name = 'RateLimitError';
+    this.retryAfter = options.retryAfter ?? null;
+    this.quota = options.quota ?? null;
+  }
+}
+
+/**
+ * Build the error for a failed API response
+ *
+ * @param {Response} response - The fetch() response
+ * @returns {Promise<APIError>}
+ */
+export async function errorFromResponse(response) {
+  // FastAPI reports what was wrong (e.g. a timeout above the maximum) in `detail`
+  const body = await response.json().catch(() => ({}));
+  const detail = typeof body.detail === 'string' ? body.detail : null;
+  const { status, statusText } = response;
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(status, statusText, detail);
+  }
+  if (status === 429) {
+    return new RateLimitError(status, statusText, detail, {
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+      quota: body.quota ?? null,
+    });
+  }
+  return new APIError(status, statusText, detail);
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,117 @@
+/**
+ * CloudAHK Exception Capture
+ *
+ * Wraps a script with an OnError handler that reports uncaught exceptions
+ * as side channel records instead of letting AHK print them (or show a
+ * dialog), so exceptions can be told apart from ordinary output.
+ */
+
+// v1 serializes with Jxon_Dump from ahk/Lib/Jxon.ahk (pulled in by Print)
+const V1_HANDLER = [
+  'CloudAHK_OnError(e) {',
+  '\tif !IsObject(e)',
+  '\t\te := {"Message": e}',
+  '\tPrint(Chr(30) "cloudahk:exception " Jxon_Dump({"class": e.__Class ? e.__Class : "Exception"',
+  '\t\t, "message": e.Message, "extra": e.Extra, "file": e.File, "line": e.Line',
+  '\t\t, "what": e.What, "stack": ""}) Chr(30))',
+  '\treturn true',
+  '}',
+];
+
+// v2 has no auto-include, so it includes the v2 port in ahk/v2/Lib/Jxon.ahk
+const V2_HANDLER = [
+  'CloudAHK_OnError(e, mode) {',
+  '\trec := Map("class", Type(e))',
+  '\tfor prop in ["Message", "Extra", "File", "Line", "What", "Stack"]',
+  '\t\trec[StrLower(prop)] := (IsObject(e) && HasProp(e, prop)) ? e.%prop% : (prop = "Message" ? e : "")',
+  '\tFileAppend(Chr(30) "cloudahk:exception " Jxon_Dump(rec) Chr(30) "`n", "*", "UTF-8-RAW")',
+  '\treturn 1',
+  '}',
+  '',
+  '#Include <Jxon>',
+];
+
+const WRAPPERS = {
+  ahk: {
+    register: 'OnError("CloudAHK_OnError", -1)',
+    handler: V1_HANDLER,
+  },
+  ahk2: {
+    register: 'OnError(CloudAHK_OnError, -1)',
+    handler: V2_HANDLER,
+  },
+};
+
+// Exception classes that map onto a more specific AHKError type
+const CLASS_TYPES = {
+  TypeError: 'type',
+  UnsetError: 'reference',
+  UnsetItemError: 'reference',
+  MemberError: 'reference',
+  PropertyError: 'reference',
+  MethodError: 'reference',
+};
+
+/**
+ * Wrap a script so uncaught exceptions are reported on the side channel
+ *
+ * The handler is registered on a single line ahead of the script and
+ * defined after it, so the script's own lines shift down by exactly one.
+ *
+ * @param {string} code - The AHK code to wrap
+ * @param {string} language - 'ahk' or 'ahk2'
+ * @returns {{code: string, prependedLines: number}}
+ */
+export function wrapForExceptions(code, language) {
+  const wrapper = WRAPPERS[language];
+  if (!wrapper) {
+    throw new Error(`Exception capture is not supported for language: ${language}`);
+  }
+
+  const separator = code.endsWith('\n') ? '' : '\n';
+  return {
+    code: `${wrapper.register}\n${code}${separator}\n${wrapper.handler.join('\n')}\n`,
+    prependedLines: 1,
+  };
+}
+
+/**
+ * Convert an `exception` side channel record into an AHKError
+ *
+ * @param {import('./channel.js').ChannelRecord} record
+ * @param {function(string): string} classify - Fallback message classifier
+ * @returns {AHKException}
+ */
+export function exceptionFromRecord(record, classify) {
+  const data = record.data || { message: record.raw };
+  const className = data.class || 'Error';
+  const message = String(data.message ?? '');
+  const extra = data.extra === undefined || data.extra === '' ? null : String(data.extra);
+  const stack = data.stack ? String(data.stack).split(/\r?\n/).map(s => s.trim()).filter(Boolean) : [];
+  const reportedLine = parseInt(data.line, 10);
+
+  return {
+    line: record.line,
+    message: `${className}: ${message}`,
+    context: [...(extra !== null ? [`Specifically: ${extra}`] : []), ...stack],
+    type: CLASS_TYPES[className] || classify(`${className}: ${message}`),
+    class: className,
+    extra,
+    what: data.what || null,
+    file: data.file || null,
+    reportedLine: Number.isNaN(reportedLine) ? null : reportedLine,
+    stack,
+  };
+}
+
+/**
+ * @typedef {Object} AHKException
+ * Uncaught exception captured by the OnError handler. Has every AHKError
+ * property plus the fields of the thrown object.
+ * @property {string} class - Exception class, e.g. 'TypeError' ('Exception' in v1)
+ * @property {string|null} extra - The exception's Extra value
+ * @property {string|null} what - The function or command that raised it
+ * @property {string|null} file - The file AHK reported
+ * @property {number|null} reportedLine - Line AHK reported, before preamble adjustment
+ * @property {Array<string>} stack - Call stack lines (v2 only)
+ */
@@ -5,7 +5,9 @@
  *
  * An MCP (Model Context Protocol) server that provides tools for running
  * and validating AutoHotkey scripts. This allows Claude Code to automatically
- * test AHK code and detect errors.
+ * test AHK code and detect errors. The server's function libraries (ahk/Lib)
+ * are resources, as `ahk-lib://<Name>`, and prompts start common tasks:
+ * writing a v2 script, porting v1 code to v2 and explaining an error.
  *
  * Usage:
  *   npx cloudahk-mcp
@@ -19,27 +21,159 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { CloudAHKClient } from './client.js';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { compareBenchmarks } from './benchmark.js';
+import { CloudAHKClient, languageForFile } from './client.js';
+import { APIError, AuthenticationError, RateLimitError } from './errors.js';
+import { checkAssertions } from './test-runner.js';
 
-const client = new CloudAHKClient();
+// Options for tools that run a single script and can show what it drew
+const SCREENSHOT_PROPERTIES = {
+  screenshot: {
+    type: 'boolean',
+    description: 'Return a PNG of the virtual 800x600 display, to see Gui windows and MsgBoxes the script shows. Taken when the script exits or is killed by the timeout (a script waiting on a window keeps it open until then)',
+  },
+  screenshotDelay: {
+    type: 'number',
+    description: 'With screenshot, capture this many seconds after the script starts instead',
+  },
+};
+
+// Input for tools that run a single script
+const INPUT_PROPERTIES = {
+  args: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Command line arguments (A_Args in v2, %1%, %2%... in v1)',
+  },
+  stdin: {
+    type: 'string',
+    description: 'Standard input, read with FileOpen("*", "r")',
+  },
+  files: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: 'Text files to create in the script\'s working directory, by relative path. Files the script creates or changes are returned in `files`',
+  },
+};
+
+// URI scheme of the ahk/Lib resources
+const LIB_SCHEME = 'ahk-lib://';
+
+// Prompt templates: their arguments, and the request each one makes
+const PROMPTS = {
+  'write-v2-script': {
+    description: 'Write an AutoHotkey v2 script for a task, tested on CloudAHK until it works',
+    arguments: [
+      { name: 'task', description: 'What the script should do', required: true },
+    ],
+    text: (args) => `Write an AutoHotkey v2 script that does the following:
+
+${args.task}
+
+Start the script with #Requires AutoHotkey v2.0. Look for helpers in the server's libraries with search_ahk_lib before writing your own. Then check the script with test_ahk, asserting the output it should print (print results with Print() so they can be checked), and fix it until every assertion passes. Reply with the final script and what the test showed.`,
+  },
+  'port-v1-to-v2': {
+    description: 'Port AutoHotkey v1 code to v2, checking that it prints the same output',
+    arguments: [
+      { name: 'code', description: 'The AHK v1 code', required: true },
+    ],
+    text: (args) => `Port this AutoHotkey v1 code to v2:
 
-// Create the MCP server
-const server = new Server(
-  {
-    name: 'cloudahk',
-    version: '1.0.0',
+\`\`\`autohotkey
+${args.code}
+\`\`\`
+
+First run it with run_ahk to record its output. Rewrite it for v2: commands become functions, legacy %var% assignments become expressions, and labels used as functions become functions. Then run the port with test_ahk, with the v1 output as the expected \`output\` and version v2, and fix it until it passes. Reply with the v2 code and a list of what changed.`,
   },
-  {
-    capabilities: {
-      tools: {},
+  'explain-error': {
+    description: 'Explain why AutoHotkey code fails and how to fix it',
+    arguments: [
+      { name: 'code', description: 'The failing code', required: true },
+      { name: 'error', description: 'The error message, if you have it (otherwise the code is run to get it)' },
+      { name: 'version', description: "'v1' or 'v2' (default: detected from the code)" },
+    ],
+    text: (args) => `Explain why this AutoHotkey${args.version ? ` ${args.version}` : ''} code fails:
+
+\`\`\`autohotkey
+${args.code}
+\`\`\`
+
+${args.error ? `It reports:\n\n${args.error}\n\n` : 'Run it with validate_ahk to see the error. '}Point to the line at fault and say what is wrong with it in terms of AutoHotkey's rules, then give the corrected code. Check the fix with test_ahk and show that it passes.`,
+  },
+};
+
+// Lines of output shown as `lastOutput` when a script times out
+const LAST_OUTPUT_LINES = 5;
+
+// Resource limits accepted by every tool that runs code
+const LIMIT_PROPERTIES = {
+  timeout: {
+    type: 'number',
+    description: 'Maximum run time in seconds (default: 7). Raise it for long-running or GUI scripts; the server caps it (see cloudahk_status)',
+  },
+  memoryLimit: {
+    type: 'number',
+    description: 'Container memory limit in MB (default: the server\'s, usually 100)',
+  },
+};
+
+// Structured content of the tools that run a single script, so clients can
+// read emitted values without parsing the text content
+const RUN_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    values: {
+      type: 'array',
+      description: 'The values the script passed to Emit(), in order (empty when it emitted none)',
     },
-  }
-);
+  },
+  required: ['values'],
+};
+
+/**
+ * Create the MCP server, backed by the given CloudAHK client
+ *
+ * @param {CloudAHKClient} [client] - Client to run scripts with (default: from CLOUDAHK_URL)
+ * @returns {Server}
+ */
+export function createServer(client = new CloudAHKClient()) {
+  const server = new Server(
+    {
+      name: 'cloudahk',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  // Sessions opened with session_start, by id
+  const sessions = new Map();
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(ListResourcesRequestSchema, () => listResources(client));
+  server.setRequestHandler(ReadResourceRequestSchema, (request) => readResource(client, request));
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => callTool(client, sessions, request, extra));
+
+  return server;
+}
 
 // Define available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools() {
   return {
     tools: [
       {
@@ -49,6 +183,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 - output: the stdout from the script
 - errors: any detected errors with line numbers and types
 - summary: a human-readable summary of the result
+- lastOutput: on timeout, the last lines printed before the script was killed
+- blockedByDialog: the script was stopped while waiting on a MsgBox or other dialog (see the 'dialog' errors)
 
 Always use this tool to validate AHK code before considering it complete.`,
         inputSchema: {
@@ -58,9 +194,13 @@ Always use this tool to validate AHK code before considering it complete.`,
               type: 'string',
               description: 'The AutoHotkey v1 code to execute',
             },
+            ...LIMIT_PROPERTIES,
+            ...SCREENSHOT_PROPERTIES,
+            ...INPUT_PROPERTIES,
           },
           required: ['code'],
         },
+        outputSchema: RUN_OUTPUT_SCHEMA,
       },
       {
         name: 'run_ahk2',
@@ -68,7 +208,9 @@ Always use this tool to validate AHK code before considering it complete.`,
 - success: whether the code ran without errors
 - output: the stdout from the script
 - errors: any detected errors with line numbers and types
-- summary: a human-readable summary of the result`,
+- summary: a human-readable summary of the result
+- lastOutput: on timeout, the last lines printed before the script was killed
+- blockedByDialog: the script was stopped while waiting on a MsgBox or other dialog (see the 'dialog' errors)`,
         inputSchema: {
           type: 'object',
           properties: {
@@ -76,9 +218,59 @@ Always use this tool to validate AHK code before considering it complete.`,
               type: 'string',
               description: 'The AutoHotkey v2 code to execute',
             },
+            ...LIMIT_PROPERTIES,
+            ...SCREENSHOT_PROPERTIES,
+            ...INPUT_PROPERTIES,
+          },
+          required: ['code'],
+        },
+        outputSchema: RUN_OUTPUT_SCHEMA,
+      },
+      {
+        name: 'run_relax',
+        description: `Compile and run Relax (.rlx) code. Compile errors from the lexer, parser and code generator are returned with their line and column; a program that exits with a non-zero code is reported as failed. Relax programs take no args or stdin.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'The Relax code to compile and run',
+            },
+            ...LIMIT_PROPERTIES,
+          },
+          required: ['code'],
+        },
+        outputSchema: RUN_OUTPUT_SCHEMA,
+      },
+      {
+        name: 'run_shell',
+        description: `Run a script under a unix interpreter on the server (sh, bash, python3, perl, node... see cloudahk_status for what is installed). Errors are detected from the interpreter's own reports (Python and Node.js tracebacks, Perl and PHP errors, shell "line N:" messages) and mapped to script lines.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'The script to run',
+            },
+            interpreter: {
+              type: 'string',
+              description: 'Interpreter to run it with, e.g. python3 (default: the one in the code\'s #! line, else sh). Given, it replaces the #! line',
+            },
+            args: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Command line arguments',
+            },
+            stdin: {
+              type: 'string',
+              description: 'Standard input',
+            },
+            files: INPUT_PROPERTIES.files,
+            ...LIMIT_PROPERTIES,
           },
           required: ['code'],
         },
+        outputSchema: RUN_OUTPUT_SCHEMA,
       },
       {
         name: 'validate_ahk',
@@ -92,17 +284,234 @@ Always use this tool to validate AHK code before considering it complete.`,
             },
             version: {
               type: 'string',
-              enum: ['v1', 'v2'],
-              description: 'AHK version (default: v1)',
-              default: 'v1',
+              enum: ['v1', 'v2', 'auto'],
+              description: 'AHK version (default: auto - detected from the code, retried under the other version if it fails to load as the wrong one)',
+              default: 'auto',
+            },
+            ...LIMIT_PROPERTIES,
+          },
+          required: ['code'],
+        },
+      },
+      {
+        name: 'test_ahk',
+        description: `Run AutoHotkey code and check it against assertions, to iterate on code until it works: the expected output, text the output must contain, no errors, or an expected error type or message. Returns passed, each assertion with its expected and actual values (a line diff for output), and the run result as run_ahk reports it. With no assertions, the code must run without errors.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'The AutoHotkey code to test',
+            },
+            version: {
+              type: 'string',
+              enum: ['v1', 'v2', 'auto'],
+              description: 'AHK version (default: auto)',
+              default: 'auto',
+            },
+            expect: {
+              type: 'object',
+              description: 'Assertions, all of which must pass',
+              properties: {
+                output: {
+                  type: 'string',
+                  description: 'The whole output, ignoring trailing whitespace and line ending differences',
+                },
+                outputContains: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Text the output must include',
+                },
+                noErrors: {
+                  type: 'boolean',
+                  description: 'true: runs without errors or timing out; false: fails somehow',
+                },
+                errorType: {
+                  type: 'string',
+                  enum: ['syntax', 'reference', 'type', 'runtime', 'timeout', 'wine', 'dialog'],
+                  description: 'Some detected error has this type',
+                },
+                errorMessage: {
+                  type: 'string',
+                  description: 'Some detected error\'s message includes this text (any case)',
+                },
+                values: {
+                  type: 'array',
+                  description: 'Exactly the values the script passed to Emit(), in order, compared as JSON',
+                },
+              },
+            },
+            ...LIMIT_PROPERTIES,
+            ...INPUT_PROPERTIES,
+          },
+          required: ['code'],
+        },
+      },
+      {
+        name: 'benchmark_ahk',
+        description: `Time AutoHotkey code over repeated runs, or compare two implementations side by side. Only the script body is timed (from its first line until it exits), not Wine and AutoHotkey starting up, which is reported separately as startup. Returns min, median, p95, max, mean and standard deviation in milliseconds; with compareCode, which one is faster and by how much (faster is null when the difference is within the noise).`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'The AutoHotkey code to time',
+            },
+            compareCode: {
+              type: 'string',
+              description: 'A second implementation to time the same way and compare with code',
             },
+            version: {
+              type: 'string',
+              enum: ['v1', 'v2', 'auto'],
+              description: 'AHK version (default: auto)',
+              default: 'auto',
+            },
+            iterations: {
+              type: 'number',
+              description: 'Runs to measure (default: 10). Each is a full run, so keep the code short or loop inside it',
+            },
+            warmup: {
+              type: 'number',
+              description: 'Runs before those that are not measured (default: 1)',
+            },
+            ...LIMIT_PROPERTIES,
           },
           required: ['code'],
         },
       },
+      {
+        name: 'session_start',
+        description: `Open a session: one container kept for a series of runs with session_run, so they skip starting Wine and each sees the files earlier runs wrote to its working directory. Use it to write helper files or data in one step and #Include or read them in the next. Returns the session's id. The server closes it after ttl seconds without runs, or when a run in it times out or is stuck behind a dialog; close it with session_close when done.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            memoryLimit: LIMIT_PROPERTIES.memoryLimit,
+          },
+        },
+      },
+      {
+        name: 'session_run',
+        description: `Run AutoHotkey code in an open session, like run_ahk/run_ahk2. Files sent with it are written next to those already there, and files only come back when this run created or changed them. The result's session lists the files in the working directory and whether the session was closed.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'The id session_start returned',
+            },
+            code: {
+              type: 'string',
+              description: 'The AutoHotkey code to execute',
+            },
+            version: {
+              type: 'string',
+              enum: ['v1', 'v2', 'auto'],
+              description: 'AHK version (default: auto)',
+              default: 'auto',
+            },
+            timeout: LIMIT_PROPERTIES.timeout,
+            ...SCREENSHOT_PROPERTIES,
+            ...INPUT_PROPERTIES,
+          },
+          required: ['sessionId', 'code'],
+        },
+        outputSchema: RUN_OUTPUT_SCHEMA,
+      },
+      {
+        name: 'session_close',
+        description: 'Close a session, stopping any script still running in it and freeing its container.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'The id session_start returned',
+            },
+          },
+          required: ['sessionId'],
+        },
+      },
+      {
+        name: 'lint_ahk',
+        description: `Check AutoHotkey code for syntax and other load-time errors WITHOUT running it. Nothing in the script executes, so this is safe for scripts with side effects and for persistent or hotkey scripts that would never exit. Returns the errors with line numbers. Runtime errors are not detected; use run_ahk/run_ahk2 for those. AHK v1 stops at the first error.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'The AutoHotkey code to check',
+            },
+            filePath: {
+              type: 'string',
+              description: 'Check this .ahk file instead of code (local #Include files are inlined)',
+            },
+            version: {
+              type: 'string',
+              enum: ['v1', 'v2'],
+              description: 'AHK version (default: auto-detect from #Requires or the file extension, else v1)',
+            },
+            libPaths: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Extra directories to search for #Include <Lib> files',
+            },
+            timeout: LIMIT_PROPERTIES.timeout,
+          },
+        },
+      },
+      {
+        name: 'format_ahk',
+        description: `Format AutoHotkey code: indent blocks, hotkey and label bodies, switch cases and continuation lines, place braces, and write command names in their documented case. Nothing runs. Strings, comments, expressions and continuation sections are left as they are. Returns the formatted code.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'The AutoHotkey code to format',
+            },
+            filePath: {
+              type: 'string',
+              description: 'Format this .ahk file instead of code (the file is not modified)',
+            },
+            version: {
+              type: 'string',
+              enum: ['v1', 'v2'],
+              description: 'AHK version (default: auto-detect from #Requires or the file extension, else v1)',
+            },
+            indent: {
+              type: ['string', 'number'],
+              description: "'tab' or a number of spaces, 1-8 (default: 'tab')",
+            },
+            braceStyle: {
+              type: 'string',
+              enum: ['preserve', 'otb', 'allman'],
+              description: "Where `{` goes: 'preserve' as written, 'otb' at the end of the statement (`if x {`), 'allman' on its own line (default: preserve)",
+            },
+            normalizeCase: {
+              type: 'boolean',
+              description: 'Write commands, directives and keywords in their documented case, e.g. msgbox -> MsgBox (default: true)',
+            },
+          },
+        },
+      },
+      {
+        name: 'search_ahk_lib',
+        description: `Search the AutoHotkey function libraries on the server (ahk/Lib: Print, Jxon, json, Eval, base64Enc...) for functions to use. Matches library and function names, parameters and doc comments. Returns each match's signature, doc and the #Include line to use it. Read a whole library as the resource ahk-lib://<Name>.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Words to look for, e.g. "json dump" or "base64" (all must match; empty lists everything)',
+            },
+          },
+          required: ['query'],
+        },
+      },
       {
         name: 'run_ahk_file',
-        description: `Run an AutoHotkey script from a file path. Reads the file and executes it. Use this when you want to test a .ahk file that exists on disk.`,
+        description: `Run an AutoHotkey script from a file path. Reads the file and executes it. Local #Include files are inlined before sending, and errors report the file and line they came from. Use this when you want to test a .ahk file that exists on disk.`,
         inputSchema: {
           type: 'object',
           properties: {
@@ -116,13 +525,71 @@ Always use this tool to validate AHK code before considering it complete.`,
               description: 'AHK version (default: auto-detect from file or v1)',
               default: 'v1',
             },
+            libPaths: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Extra directories to search for #Include <Lib> files (the script\'s own Lib folder is always searched)',
+            },
+            ...LIMIT_PROPERTIES,
+            ...SCREENSHOT_PROPERTIES,
+            ...INPUT_PROPERTIES,
           },
           required: ['filePath'],
         },
+        outputSchema: RUN_OUTPUT_SCHEMA,
+      },
+      {
+        name: 'run_ahk_batch',
+        description: `Execute many AutoHotkey scripts in parallel across the server's container pool. Results are returned in input order with aggregate stats (passed, failed, timed out, total time). Use this to validate a set of independent snippets in one call.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            scripts: {
+              type: 'array',
+              description: 'Scripts to execute',
+              items: {
+                type: 'object',
+                properties: {
+                  code: {
+                    type: 'string',
+                    description: 'The AutoHotkey code to execute',
+                  },
+                  id: {
+                    type: 'string',
+                    description: 'Optional identifier echoed back in the result',
+                  },
+                  version: {
+                    type: 'string',
+                    enum: ['v1', 'v2'],
+                    description: 'AHK version for this script (default: the batch version)',
+                  },
+                },
+                required: ['code'],
+              },
+            },
+            version: {
+              type: 'string',
+              enum: ['v1', 'v2'],
+              description: 'AHK version (default: v1)',
+              default: 'v1',
+            },
+            concurrency: {
+              type: 'number',
+              description: 'Scripts to run at once (default: server container pool size)',
+            },
+            stopOnFirstFailure: {
+              type: 'boolean',
+              description: 'Skip the remaining scripts once one fails (default: false)',
+              default: false,
+            },
+            ...LIMIT_PROPERTIES,
+          },
+          required: ['scripts'],
+        },
       },
       {
         name: 'cloudahk_status',
-        description: `Check if the CloudAHK server is running and available. Returns the server status and container pool size.`,
+        description: `Check if the CloudAHK server is running and available. Returns the server status, container pool size, the timeout/memory limits it accepts, the languages it runs (including the interpreters run_shell can use), and its metrics: containers idle/busy, requests queued for a container, run latency, timeouts and container failures.`,
         inputSchema: {
           type: 'object',
           properties: {},
@@ -130,41 +597,268 @@ Always use this tool to validate AHK code before considering it complete.`,
       },
     ],
   };
-});
+}
+
+// List the ahk/Lib libraries as resources
+async function listResources(client) {
+  const libs = await client.listLibs();
+  return {
+    resources: libs.map((lib) => ({
+      uri: `${LIB_SCHEME}${lib.name}`,
+      name: lib.file,
+      description: [lib.include, ...lib.functions.map((f) => f.signature)].join('\n'),
+      mimeType: 'text/x-autohotkey',
+    })),
+  };
+}
+
+// Read a library's source by its ahk-lib:// URI
+async function readResource(client, request) {
+  const { uri } = request.params;
+  if (!uri.startsWith(LIB_SCHEME)) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  const lib = await client.getLib(decodeURIComponent(uri.slice(LIB_SCHEME.length)));
+  return {
+    contents: [{ uri, mimeType: 'text/x-autohotkey', text: lib.source }],
+  };
+}
+
+// List the prompt templates
+async function listPrompts() {
+  return {
+    prompts: Object.entries(PROMPTS).map(([name, prompt]) => ({
+      name,
+      description: prompt.description,
+      arguments: prompt.arguments,
+    })),
+  };
+}
+
+// Fill in a prompt template with its arguments
+async function getPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  const missing = prompt.arguments.find((argument) => argument.required && !args[argument.name]);
+  if (missing) {
+    throw new Error(`The ${name} prompt needs ${missing.name}`);
+  }
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.text(args) } }],
+  };
+}
+
+/**
+ * The session opened with session_start with this id
+ */
+function findSession(sessions, id) {
+  const session = sessions.get(id);
+  if (!session) {
+    throw new Error(`No open session ${id}; start one with session_start`);
+  }
+  return session;
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(client, sessions, request, extra) {
   const { name, arguments: args } = request.params;
+  const progressToken = request.params._meta?.progressToken;
+
+  // Run code with its output streamed to the caller as progress
+  // notifications, when it asked for progress
+  const runStreaming = (code, options) => {
+    const stream = client.runStream(code, options);
+    if (progressToken !== undefined) {
+      let progress = 0;
+      stream.on('stdout', (text) => {
+        extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress: ++progress, message: text },
+        }).catch(() => {});
+      });
+    }
+    return stream.result;
+  };
 
   try {
     switch (name) {
       case 'run_ahk': {
-        const result = await client.run(args.code, { language: 'ahk' });
+        const result = await runStreaming(args.code, {
+          language: 'ahk',
+          ...limitOptions(args),
+          ...screenshotOptions(args),
+          ...inputOptions(args),
+        });
+        return runResult(result);
+      }
+
+      case 'run_ahk2': {
+        const result = await runStreaming(args.code, {
+          language: 'ahk2',
+          ...limitOptions(args),
+          ...screenshotOptions(args),
+          ...inputOptions(args),
+        });
+        return runResult(result);
+      }
+
+      case 'run_relax': {
+        const result = await runStreaming(args.code, {
+          language: 'rlx',
+          ...limitOptions(args),
+        });
+        return runResult(result);
+      }
+
+      case 'run_shell': {
+        const shebang = args.code.startsWith('#!');
+        const language = args.interpreter || (shebang ? 'unix' : 'sh');
+        // The server writes its own #! line for the interpreter; blanking the
+        // script's keeps it from landing on line 2 (as 'unix' does)
+        const code = args.interpreter && shebang ? args.code.replace(/^[^\n]*/, '') : args.code;
+        const result = await runStreaming(code, {
+          language,
+          ...limitOptions(args),
+          ...inputOptions(args),
+        });
+        return runResult(result);
+      }
+
+      case 'validate_ahk': {
+        const language = { v1: 'ahk', v2: 'ahk2' }[args.version] || 'auto';
+        const result = await client.validate(args.code, { language, ...limitOptions(args) });
         return {
           content: [
             {
               type: 'text',
-              text: formatResult(result),
+              text: JSON.stringify(
+                {
+                  valid: result.valid,
+                  language: result.language,
+                  ...(result.versionDetection && { versionDetection: result.versionDetection }),
+                  errorCount: result.errors.length,
+                  message: result.message,
+                  errors: result.errors.map(formatError),
+                },
+                null,
+                2
+              ),
             },
           ],
         };
       }
 
-      case 'run_ahk2': {
-        const result = await client.run(args.code, { language: 'ahk2' });
+      case 'test_ahk': {
+        const language = { v1: 'ahk', v2: 'ahk2' }[args.version] || 'auto';
+        const options = { language, ...limitOptions(args), ...inputOptions(args) };
+        // Only run() retries a script that fails to load as the detected version
+        const result = language === 'auto' ? await client.run(args.code, options) : await runStreaming(args.code, options);
+        const { passed, assertions } = checkAssertions(result, args.expect);
         return {
           content: [
             {
               type: 'text',
-              text: formatResult(result),
+              text: JSON.stringify({ passed, assertions, result: resultFields(result) }, null, 2),
             },
           ],
         };
       }
 
-      case 'validate_ahk': {
-        const language = args.version === 'v2' ? 'ahk2' : 'ahk';
-        const result = await client.validate(args.code, { language });
+      case 'benchmark_ahk': {
+        const options = {
+          language: { v1: 'ahk', v2: 'ahk2' }[args.version] || 'auto',
+          iterations: args.iterations,
+          warmup: args.warmup,
+          ...limitOptions(args),
+        };
+        const a = await client.benchmark(args.code, options);
+        const b = args.compareCode === undefined ? null : await client.benchmark(args.compareCode, options);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                b ? { a: formatBenchmark(a), b: formatBenchmark(b), comparison: compareBenchmarks(a, b) } : formatBenchmark(a),
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case 'session_start': {
+        const session = await client.session(limitOptions(args));
+        sessions.set(session.id, session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(session.info, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'session_run': {
+        const session = findSession(sessions, args.sessionId);
+        const language = { v1: 'ahk', v2: 'ahk2' }[args.version] || 'auto';
+        let result;
+        try {
+          result = await session.run(args.code, {
+            language,
+            ...limitOptions({ timeout: args.timeout }),
+            ...screenshotOptions(args),
+            ...inputOptions(args),
+          });
+        } finally {
+          if (session.closed) {
+            sessions.delete(session.id);
+          }
+        }
+        return runResult(result);
+      }
+
+      case 'session_close': {
+        const session = findSession(sessions, args.sessionId);
+        let info;
+        try {
+          info = await session.close();
+        } finally {
+          // Kept only if the server couldn't be told
+          if (session.closed) {
+            sessions.delete(session.id);
+          }
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(info, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'lint_ahk': {
+        let code = args.code;
+        if (args.filePath) {
+          const fs = await import('fs/promises');
+          code = await fs.readFile(args.filePath, 'utf-8');
+        }
+        if (typeof code !== 'string') {
+          throw new Error('lint_ahk needs code or filePath');
+        }
+        const result = await client.lint(code, {
+          version: args.version,
+          scriptPath: args.filePath,
+          libPaths: args.libPaths,
+          ...limitOptions(args),
+        });
         return {
           content: [
             {
@@ -172,13 +866,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: JSON.stringify(
                 {
                   valid: result.valid,
+                  ...(args.filePath && { file: args.filePath }),
+                  language: result.language,
                   errorCount: result.errors.length,
                   message: result.message,
-                  errors: result.errors.map((e) => ({
-                    type: e.type,
-                    message: e.message,
-                    context: e.context,
-                  })),
+                  errors: result.errors.map(formatError),
                 },
                 null,
                 2
@@ -188,6 +880,53 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'format_ahk': {
+        let code = args.code;
+        if (args.filePath) {
+          const fs = await import('fs/promises');
+          code = await fs.readFile(args.filePath, 'utf-8');
+        }
+        if (typeof code !== 'string') {
+          throw new Error('format_ahk needs code or filePath');
+        }
+        const result = await client.format(code, {
+          version: args.version,
+          scriptPath: args.filePath,
+          indent: args.indent,
+          braceStyle: args.braceStyle,
+          normalizeCase: args.normalizeCase,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  ...(args.filePath && { file: args.filePath }),
+                  language: result.language,
+                  changed: result.changed,
+                  code: result.code,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case 'search_ahk_lib': {
+        const matches = searchLibs(await client.listLibs(), args.query || '');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ count: matches.length, matches }, null, 2),
+            },
+          ],
+        };
+      }
+
       case 'run_ahk_file': {
         // Read file and execute
         const fs = await import('fs/promises');
@@ -212,20 +951,39 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         // Auto-detect version from file extension or directive
         let language = args.version === 'v2' ? 'ahk2' : 'ahk';
         if (!args.version) {
-          if (
-            args.filePath.endsWith('.ahk2') ||
-            code.includes('#Requires AutoHotkey v2')
-          ) {
-            language = 'ahk2';
-          }
+          language = languageForFile(args.filePath, code);
         }
 
-        const result = await client.run(code, { language });
+        const result = await runStreaming(code, {
+          language,
+          scriptPath: args.filePath,
+          libPaths: args.libPaths,
+          ...limitOptions(args),
+          ...screenshotOptions(args),
+          ...inputOptions(args),
+        });
+        return runResult(result, args.filePath);
+      }
+
+      case 'run_ahk_batch': {
+        const batch = await client.runBatch(
+          args.scripts.map((script) => ({
+            id: script.id,
+            code: script.code,
+            ...(script.version && { language: script.version === 'v2' ? 'ahk2' : 'ahk' }),
+          })),
+          {
+            language: args.version === 'v2' ? 'ahk2' : 'ahk',
+            concurrency: args.concurrency,
+            stopOnFirstFailure: args.stopOnFirstFailure,
+            ...limitOptions(args),
+          }
+        );
         return {
           content: [
             {
               type: 'text',
-              text: formatResult(result, args.filePath),
+              text: formatBatchResult(batch),
             },
           ],
         };
@@ -240,7 +998,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 type: 'text',
                 text: JSON.stringify({
                   available: false,
-                  message: `CloudAHK server is not running at ${client.baseUrl}. Start it with: docker-compose up`,
+                  message: `CloudAHK server is not running at ${client.pool.endpoints.map((e) => e.url).join(', ')}. Start it with: docker-compose up`,
                 }),
               },
             ],
@@ -248,6 +1006,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
 
         const containerCount = await client.getContainerCount();
+        // Servers without per-request limits don't have /limits, nor
+        // older ones /metrics
+        const limits = await client.getLimits().catch(() => null);
+        const metrics = await client.getServerMetrics().catch(() => null);
+        const languages = await client.listLanguages().catch(() => null);
         return {
           content: [
             {
@@ -256,6 +1019,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 available: true,
                 url: client.baseUrl,
                 containerPool: containerCount,
+                ...(limits && {
+                  limits: {
+                    timeout: { default: limits.timeout.default / 1000, max: limits.timeout.max / 1000 },
+                    memoryLimit: limits.memoryLimit,
+                  },
+                }),
+                ...(languages && {
+                  languages: languages.map((language) => ({ name: language.name, kind: language.kind })),
+                }),
+                ...(metrics && { metrics }),
+                ...(client.pool.endpoints.length > 1 && { endpoints: await endpointStatus(client) }),
                 message: 'CloudAHK server is running and ready',
               }),
             },
@@ -274,23 +1048,88 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           text: JSON.stringify({
             success: false,
             error: error.message,
+            ...errorFields(error),
+            // Output streamed before the request failed
+            ...(error.output && { partialOutput: error.output }),
           }),
         },
       ],
       isError: true,
     };
   }
-});
+}
+
+/**
+ * Health, load and server metrics of each endpoint
+ */
+async function endpointStatus(client) {
+  const stats = await client.checkHealth();
+  return Promise.all(stats.map(async (endpoint) => ({
+    ...endpoint,
+    metrics: endpoint.healthy ? await client.getServerMetrics(endpoint.url).catch(() => null) : null,
+  })));
+}
+
+/**
+ * The library functions and classes that every word of the query matches,
+ * by library name, signature, class members or doc
+ */
+function searchLibs(libs, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return libs.flatMap((lib) => lib.functions
+    .filter((f) => {
+      const text = [lib.name, f.signature, ...f.members, f.doc || ''].join('\n').toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .map((f) => ({
+      lib: lib.name,
+      include: lib.include,
+      name: f.name,
+      kind: f.kind,
+      signature: f.signature,
+      ...(f.members.length > 0 && { members: f.members }),
+      doc: f.doc,
+    })));
+}
+
+/**
+ * What kind of failure an error is, and what to do about it
+ */
+function errorFields(error) {
+  if (error instanceof AuthenticationError) {
+    return { errorType: 'authentication', hint: 'Set CLOUDAHK_API_KEY to an API key the server accepts' };
+  }
+  if (error instanceof RateLimitError) {
+    return {
+      errorType: 'rate_limit',
+      quota: error.quota,
+      // Seconds, like the Retry-After header
+      retryAfter: error.retryAfter === null ? null : Math.ceil(error.retryAfter / 1000),
+    };
+  }
+  if (error instanceof APIError) {
+    return { errorType: 'api', status: error.status };
+  }
+  return {};
+}
 
 /**
  * Format execution result for display
  */
 function formatResult(result, filePath = null) {
+  return JSON.stringify(resultFields(result, filePath), null, 2);
+}
+
+/**
+ * The fields of an execution result that tools report
+ */
+function resultFields(result, filePath = null) {
   const output = {
     success: result.success,
     ...(filePath && { file: filePath }),
     executionTime: result.executionTime,
     timedOut: result.timedOut,
+    ...(result.blockedByDialog && { blockedByDialog: true }),
     language: result.language,
     output: result.output,
     errorCount: result.errors.length,
@@ -298,24 +1137,160 @@ function formatResult(result, filePath = null) {
   };
 
   if (result.errors.length > 0) {
-    output.errors = result.errors.map((e) => ({
-      type: e.type,
-      message: e.message,
-      context: e.context,
-    }));
+    output.errors = result.errors.map(formatError);
+  }
+
+  if (result.files) {
+    output.files = Object.fromEntries(Object.entries(result.files).map(([name, content]) => [
+      name,
+      typeof content === 'string' ? content : { base64: content.toString('base64') },
+    ]));
   }
 
-  return JSON.stringify(output, null, 2);
+  if (result.timedOut && result.output) {
+    // Where the script got to before it was killed
+    output.lastOutput = result.output.replace(/\n$/, '').split('\n').slice(-LAST_OUTPUT_LINES).join('\n');
+  }
+
+  if (result.values.length > 0) {
+    output.values = result.values;
+  }
+
+  if (result.session) {
+    output.session = result.session;
+  }
+
+  return output;
+}
+
+/**
+ * A benchmark's statistics, without each run's times
+ */
+function formatBenchmark(benchmark) {
+  const { runs, ...stats } = benchmark;
+  return stats;
+}
+
+/**
+ * Format batch execution results for display
+ */
+function formatBatchResult(batch) {
+  return JSON.stringify(
+    {
+      stats: batch.stats,
+      results: batch.results.map((entry) => ({
+        id: entry.id,
+        ...(entry.skipped && { skipped: true }),
+        ...(entry.error && { error: entry.error, attempts: entry.attempts }),
+        ...(entry.result && {
+          success: entry.result.success,
+          timedOut: entry.result.timedOut,
+          output: entry.result.output,
+          summary: entry.result.summary,
+          ...(entry.result.errors.length > 0 && {
+            errors: entry.result.errors.map(formatError),
+          }),
+        }),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Convert the tools' timeout (seconds) and memoryLimit arguments to run() options
+ */
+function limitOptions(args) {
+  return {
+    ...(args.timeout && { timeout: args.timeout * 1000 }),
+    ...(args.memoryLimit && { memoryLimit: args.memoryLimit }),
+  };
+}
+
+/**
+ * Convert the tools' screenshot arguments to run() options
+ */
+function screenshotOptions(args) {
+  if (!args.screenshot) return {};
+  return {
+    screenshot: args.screenshotDelay !== undefined ? { delay: args.screenshotDelay * 1000 } : true,
+  };
+}
+
+/**
+ * Convert the tools' args, stdin and files arguments to run() options
+ */
+function inputOptions(args) {
+  return {
+    ...(args.args && { args: args.args }),
+    ...(args.stdin !== undefined && { stdin: args.stdin }),
+    ...(args.files && { files: args.files }),
+  };
+}
+
+/**
+ * Tool content for a run: the formatted result, plus the screenshot if any
+ */
+function resultContent(result, filePath = null) {
+  const content = [
+    {
+      type: 'text',
+      text: formatResult(result, filePath),
+    },
+  ];
+  if (result.screenshot) {
+    content.push({
+      type: 'image',
+      data: result.screenshot.data,
+      mimeType: result.screenshot.mimeType,
+    });
+  }
+  return content;
+}
+
+/**
+ * Tool result for a run: its content, and what the script passed to Emit()
+ * as structured content (see RUN_OUTPUT_SCHEMA)
+ */
+function runResult(result, filePath = null) {
+  return {
+    content: resultContent(result, filePath),
+    structuredContent: { values: result.values },
+  };
+}
+
+/**
+ * Format a detected error, including its source position when known
+ */
+function formatError(e) {
+  return {
+    type: e.type,
+    message: e.message,
+    ...(e.stage && { stage: e.stage }),
+    context: e.context,
+    ...(e.sourceLine && {
+      ...(e.sourceFile && { sourceFile: e.sourceFile }),
+      sourceLine: e.sourceLine,
+      sourceColumn: e.sourceColumn,
+      sourceText: e.sourceText,
+      snippet: e.snippet,
+    }),
+  };
 }
 
 // Start the server
 async function main() {
+  const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('CloudAHK MCP server running on stdio');
 }
 
-main().catch((error) => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+// Only start when run directly (or via the bin link), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
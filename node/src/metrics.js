@@ -0,0 +1,117 @@
+/**
+ * CloudAHK Server Metrics
+ *
+ * The server's GET /metrics speaks the Prometheus text format, for scraping.
+ * parseMetrics() reads it back into samples, and summarizeMetrics() boils
+ * those down to the numbers worth showing a person: pool occupancy, queue
+ * depth, run latency and failure counts.
+ */
+
+/**
+ * Parse the Prometheus text exposition format
+ *
+ * @param {string} text - Body of GET /metrics
+ * @returns {Array<{name: string, labels: Object<string, string>, value: number}>}
+ */
+export function parseMetrics(text) {
+  const samples = [];
+  for (const line of text.split('\n')) {
+    const match = /^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/.exec(line.trim());
+    if (!match || line.startsWith('#')) continue;
+    const labels = {};
+    for (const [, key, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+      labels[key] = value.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c));
+    }
+    samples.push({ name: match[1], labels, value: Number(match[3]) });
+  }
+  return samples;
+}
+
+/**
+ * Summarize parsed server metrics
+ *
+ * @param {Array<{name: string, labels: Object, value: number}>} samples - From parseMetrics()
+ * @returns {ServerMetrics}
+ */
+export function summarizeMetrics(samples) {
+  const find = (name, labels = {}) => samples.filter((sample) => sample.name === name &&
+    Object.entries(labels).every(([key, value]) => sample.labels[key] === value));
+  const total = (name, labels) => find(name, labels).reduce((sum, sample) => sum + sample.value, 0);
+  const value = (name, labels) => (find(name, labels).length > 0 ? total(name, labels) : null);
+
+  const languages = [...new Set(find('cloudahk_runs_total').map((sample) => sample.labels.language))];
+  return {
+    pool: {
+      idle: value('cloudahk_pool_containers', { state: 'idle' }),
+      starting: value('cloudahk_pool_containers', { state: 'starting' }),
+      busy: value('cloudahk_pool_containers', { state: 'busy' }),
+      min: value('cloudahk_pool_min_containers'),
+      max: value('cloudahk_pool_max_containers'),
+    },
+    queueDepth: value('cloudahk_queue_depth'),
+    queueWait: histogram(find, 'cloudahk_queue_wait_seconds'),
+    runs: total('cloudahk_runs_total'),
+    timeouts: total('cloudahk_run_timeouts_total'),
+    runLatency: histogram(find, 'cloudahk_run_duration_seconds'),
+    byLanguage: Object.fromEntries(languages.map((language) => [language, {
+      runs: total('cloudahk_runs_total', { language }),
+      timeouts: total('cloudahk_run_timeouts_total', { language }),
+      latency: histogram(find, 'cloudahk_run_duration_seconds', { language }),
+    }])),
+    allocationFailures: total('cloudahk_container_allocation_failures_total'),
+    evicted: total('cloudahk_containers_evicted_total'),
+    rejected: total('cloudahk_pool_rejected_total'),
+  };
+}
+
+/**
+ * Count, mean and bucket-estimated percentiles of a histogram, summed over
+ * the series matching `labels`
+ * @private
+ */
+function histogram(find, name, labels = {}) {
+  const count = find(`${name}_count`, labels).reduce((sum, sample) => sum + sample.value, 0);
+  if (count === 0) return { count: 0, average: null, p50: null, p95: null };
+  const sum = find(`${name}_sum`, labels).reduce((total, sample) => total + sample.value, 0);
+
+  const buckets = new Map();
+  for (const sample of find(`${name}_bucket`, labels)) {
+    const le = sample.labels.le === '+Inf' ? Infinity : Number(sample.labels.le);
+    buckets.set(le, (buckets.get(le) ?? 0) + sample.value);
+  }
+  const bounds = [...buckets.keys()].sort((a, b) => a - b);
+  // The upper bound of the first bucket holding the quantile
+  const quantile = (q) => {
+    const bound = bounds.find((le) => buckets.get(le) >= q * count);
+    return bound === Infinity ? null : bound ?? null;
+  };
+  return {
+    count,
+    average: Math.round((sum / count) * 1000) / 1000,
+    p50: quantile(0.5),
+    p95: quantile(0.95),
+  };
+}
+
+/**
+ * @typedef {Object} LatencySummary
+ * @property {number} count - Observations
+ * @property {number|null} average - Mean, in seconds
+ * @property {number|null} p50 - Median, as the upper bound of its bucket (null above the last)
+ * @property {number|null} p95 - 95th percentile, likewise
+ */
+
+/**
+ * @typedef {Object} ServerMetrics
+ * @property {{idle: number|null, starting: number|null, busy: number|null, min: number|null, max: number|null}} pool
+ *   - Containers by state, and the configured pool size
+ * @property {number|null} queueDepth - Requests waiting for a container
+ * @property {LatencySummary} queueWait - Time requests waited for a container
+ * @property {number} runs - Finished runs
+ * @property {number} timeouts - Runs killed at their timeout
+ * @property {LatencySummary} runLatency - Time from request to result
+ * @property {Object<string, {runs: number, timeouts: number, latency: LatencySummary}>} byLanguage
+ * @property {number} allocationFailures - Containers Docker failed to start
+ * @property {number} evicted - Idle containers found dead by health checks
+ * @property {number} rejected - Requests turned away after waiting for a container
+ */
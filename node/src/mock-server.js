@@ -0,0 +1,601 @@
+/**
+ * CloudAHK Mock Server
+ *
+ * An in-process stand-in for the Python API (api.py) so the client and MCP
+ * server can be tested without Docker, Wine or AutoHotkey. It implements the
+ * same routes:
+ *
+ *   GET  /                  - Liveness check
+ *   GET  /containers        - Container pool size
+ *   GET  /limits            - Default and maximum timeout/memory
+ *   GET  /metrics           - Pool and run metrics (Prometheus text)
+ *   GET  /languages         - ahk, ahk2, rlx and the unix interpreters
+ *   GET  /libs              - The ahk/Lib libraries and their functions
+ *   GET  /libs/{name}       - One library, with its source
+ *   POST /{language}/run    - Run code, responding with scripted output
+ *   POST /{language}/stream - The same, as server-sent events
+ *   POST /{language}/lint   - Load-only check (ahk/ahk2), answered like a run
+ *   POST /format/{language} - Format code (ahk/ahk2), answered with `formatted`
+ *   POST /sessions          - Open a session
+ *   POST /sessions/{id}/{language}/run - Run in a session, tracking its files
+ *   DELETE /sessions/{id}   - Close a session
+ *
+ * Responses are scripted with response specs:
+ *
+ *   { stdout: 'text' }            - Successful run printing `text`
+ *   { stdout: 'text', timeout: true } - Run killed by the server timeout
+ *   { fixture: 'v1-nonexistent-function' } - A recorded response from fixtures/
+ *   { status: 500, body: {...} }  - HTTP error
+ *   { status: 429, headers: {'Retry-After': '2'} } - HTTP error with headers
+ *   { delay: 2000, ... }          - Any of the above, after a delay
+ *   { chunks: ['a', 'b'], chunkDelay: 50 } - Output streamed in pieces
+ *   { chunks: ['a'], hang: true } - Stream that stops without finishing
+ *   { screenshot: '<base64>' }    - PNG returned when a screenshot is requested
+ *   { dialogs: [{title, text, ...}] } - Run stopped because it was stuck behind dialogs
+ *   { files: {'out.txt': 'text'} } - Files the script wrote (JSON requests only)
+ *                                   A session run that times out or hits a dialog
+ *                                   closes its session, like api.py's
+ *   { formatted: 'code' }         - /format result (default: the code unchanged)
+ *   { benchmark: 0.012 }          - Seconds the script body ran, for /run?benchmark=true
+ *                                   (default 0.01; null as if the marks never printed)
+ *   (request) => spec             - Computed per request
+ *
+ * Example:
+ *   const server = new MockCloudAHKServer();
+ *   await server.start();
+ *   server.enqueue({ status: 503 }, { stdout: 'ok\n' });
+ *   const client = new CloudAHKClient({ baseUrl: server.url });
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Mirrors run_lang in api.py
+const BUILTIN_LANGUAGES = ['ahk', 'ahk2', 'rlx'];
+
+// Mirrors LANGUAGE_DESCRIPTIONS in api.py
+const LANGUAGE_DESCRIPTIONS = {
+  ahk: 'AutoHotkey v1.1, under Wine',
+  ahk2: 'AutoHotkey v2, under Wine',
+  rlx: 'Relax, compiled to a Linux executable and run',
+};
+
+// A few of ahk/Lib's libraries, described like ahklib.describe in api.py
+const DEFAULT_LIBS = [
+  {
+    name: 'Jxon',
+    file: 'Jxon.ahk',
+    include: '#Include <Jxon>',
+    functions: [
+      { name: 'Jxon_Load', kind: 'function', signature: 'Jxon_Load(ByRef src, args*)', line: 1, doc: null, members: [] },
+      { name: 'Jxon_Dump', kind: 'function', signature: 'Jxon_Dump(obj, indent:="", lvl:=1)', line: 5, doc: null, members: [] },
+    ],
+    source: 'Jxon_Load(ByRef src, args*)\n{\n}\n\nJxon_Dump(obj, indent:="", lvl:=1)\n{\n}\n',
+  },
+  {
+    name: 'Print',
+    file: 'Print.ahk',
+    include: '#Include <Print>',
+    functions: [
+      { name: 'Print', kind: 'function', signature: 'Print(p*)', line: 2, doc: 'Print values to stdout', members: [] },
+    ],
+    source: '; Print values to stdout\nPrint(p*) {\n}\n',
+  },
+];
+
+// Mirrors the limit settings in api.py (seconds / megabytes)
+const DEFAULT_TIMEOUT = 7;
+const DEFAULT_MEMORY = 100;
+const MIN_MEMORY = 16;
+const SESSION_TTL = 300;
+
+// 1x1 transparent PNG, returned for screenshots unless a spec sets its own
+export const BLANK_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * Load a recorded server response from the fixture corpus
+ *
+ * @param {string} name - Fixture name, without the .json extension
+ * @returns {Fixture}
+ */
+export function loadFixture(name) {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf-8');
+  return JSON.parse(text);
+}
+
+/**
+ * List the names of all fixtures in the corpus
+ *
+ * @returns {Array<string>}
+ */
+export function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => file.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Fake CloudAHK API server with scriptable responses
+ */
+export class MockCloudAHKServer {
+  /**
+   * @param {Object} options
+   * @param {number} [options.containers=1] - Value reported by GET /containers
+   * @param {Object|Function} [options.response] - Default response spec for runs
+   * @param {number} [options.maxTimeout=60] - Largest accepted timeout in seconds
+   * @param {number} [options.maxMemory=512] - Largest accepted memory limit in MB
+   * @param {boolean} [options.streaming=true] - Serve /{language}/stream (false mimics older servers)
+   * @param {Array<string>} [options.apiKeys] - Keys accepted for runs and GET /languages;
+   *   without any, nothing needs a key
+   * @param {Array<string>} [options.interpreters] - Unix interpreters listed by GET /languages
+   * @param {Array<Object>} [options.libs] - Libraries served by /libs, each a GET /libs entry
+   *   plus its `source`
+   * @param {number} [options.maxSessions=4] - Sessions open at once before POST /sessions
+   *   answers 503
+   */
+  constructor(options = {}) {
+    this.containers = options.containers ?? 1;
+    this.maxTimeout = options.maxTimeout ?? 60;
+    this.maxMemory = options.maxMemory ?? 512;
+    this.streaming = options.streaming ?? true;
+    this.apiKeys = options.apiKeys || [];
+    this.interpreters = options.interpreters || ['sh', 'bash', 'python3', 'perl', 'node'];
+    this.libs = options.libs || DEFAULT_LIBS;
+    this.maxSessions = options.maxSessions ?? 4;
+    // Open sessions by id: {id, key, memory, runs, files: Set}
+    this.sessions = new Map();
+    this._sessionCount = 0;
+    this.defaultResponse = options.response || { stdout: '' };
+    this.requests = [];
+    this._queue = [];
+    this._rules = [];
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ detail: error.message }));
+      });
+    });
+  }
+
+  /**
+   * Start listening on a local port
+   *
+   * @param {number} [port=0] - Port to listen on (default: any free port)
+   * @returns {Promise<string>} The server's base URL
+   */
+  async start(port = 0) {
+    await new Promise((resolve) => this._server.listen(port, '127.0.0.1', resolve));
+    return this.url;
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._server.closeAllConnections?.();
+    await new Promise((resolve) => this._server.close(resolve));
+  }
+
+  /**
+   * Base URL of the running server
+   * @type {string}
+   */
+  get url() {
+    const { port } = this._server.address();
+    return `http://127.0.0.1:${port}`;
+  }
+
+  /**
+   * Queue one-shot responses, used by the next runs in order
+   *
+   * @param {...(Object|Function)} specs
+   * @returns {this}
+   */
+  enqueue(...specs) {
+    this._queue.push(...specs);
+    return this;
+  }
+
+  /**
+   * Respond to runs whose code matches with the given spec
+   *
+   * @param {string|RegExp|Function} match - Substring, pattern, or predicate on the request
+   * @param {Object|Function} spec
+   * @returns {this}
+   */
+  when(match, spec) {
+    this._rules.push({ match, spec });
+    return this;
+  }
+
+  /**
+   * Clear queued responses, rules and the request log
+   * @returns {this}
+   */
+  reset() {
+    this._queue = [];
+    this._rules = [];
+    this.requests = [];
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  async _handle(req, res) {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/') {
+      return sendJson(res, 200, { text: 'I\'m an api beep boop.' });
+    }
+    if (req.method === 'GET' && url.pathname === '/containers') {
+      return sendJson(res, 200, { num: this.containers });
+    }
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+      return this._metrics(res);
+    }
+    if (req.method === 'GET' && url.pathname === '/languages') {
+      if (this._authorize(req, res) === false) return;
+      return sendJson(res, 200, { languages: this._languages() });
+    }
+    if (req.method === 'GET' && url.pathname === '/libs') {
+      return sendJson(res, 200, { libs: this.libs.map(({ source, ...lib }) => lib) });
+    }
+    const lib = /^\/libs\/([^/]+)$/.exec(url.pathname);
+    if (req.method === 'GET' && lib) {
+      const name = decodeURIComponent(lib[1]);
+      const found = this.libs.find((l) => l.name.toLowerCase() === name.toLowerCase());
+      return found ? sendJson(res, 200, found) : sendJson(res, 404, { detail: `No library named ${name}` });
+    }
+    if (req.method === 'GET' && url.pathname === '/limits') {
+      return sendJson(res, 200, {
+        timeout: { default: DEFAULT_TIMEOUT, max: this.maxTimeout },
+        memory: { default: DEFAULT_MEMORY, min: MIN_MEMORY, max: this.maxMemory },
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/sessions') {
+      return this._openSession(req, res, url);
+    }
+    const sessionPath = /^\/sessions\/([^/]+)$/.exec(url.pathname);
+    if (req.method === 'DELETE' && sessionPath) {
+      const key = this._authorize(req, res);
+      if (key === false) return;
+      const session = this._findSession(res, sessionPath[1], key);
+      if (!session) return;
+      this.sessions.delete(session.id);
+      return sendJson(res, 200, { ...sessionInfo(session), closed: true });
+    }
+
+    const format = /^\/format\/([^/]+)$/.exec(url.pathname);
+    const sessionRun = /^\/sessions\/([^/]+)\/([^/]+)\/run$/.exec(url.pathname);
+    const match = format ? [url.pathname, format[1], 'format'] :
+      sessionRun ? [url.pathname, sessionRun[2], 'run'] :
+        /^\/([^/]+)\/(run|stream|lint)$/.exec(url.pathname);
+    if (req.method !== 'POST' || !match || (match[2] === 'stream' && !this.streaming)) {
+      return sendJson(res, 404, { detail: 'Not Found' });
+    }
+    const key = this._authorize(req, res);
+    if (key === false) return;
+    const session = sessionRun && this._findSession(res, sessionRun[1], key);
+    if (sessionRun && !session) return;
+    if (match[2] === 'lint' && !['ahk', 'ahk2'].includes(match[1])) {
+      return sendJson(res, 404, { detail: 'Linting is only available for ahk, ahk2' });
+    }
+    if (match[2] === 'format' && !['ahk', 'ahk2'].includes(match[1])) {
+      return sendJson(res, 404, { detail: 'Formatting is only available for ahk, ahk2' });
+    }
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      language: match[1],
+      code: body,
+      session,
+    };
+    if ((req.headers['content-type'] || '').startsWith('application/json')) {
+      // JSON requests carry args, stdin and files along with the code
+      const { code, args = [], stdin = '', files = {} } = JSON.parse(body);
+      Object.assign(request, { code, workspace: { args, stdin, files } });
+    } else if (session) {
+      // Session runs always go through the working directory
+      request.workspace = { args: [], stdin: '', files: {} };
+    }
+    this.requests.push(request);
+    if (match[2] === 'format') {
+      return this._format(res, request);
+    }
+
+    const timeout = Number(url.searchParams.get('timeout') ?? DEFAULT_TIMEOUT);
+    const memory = Number(url.searchParams.get('memory') ?? DEFAULT_MEMORY);
+    if (!(timeout > 0 && timeout <= this.maxTimeout)) {
+      return sendJson(res, 422, { detail: `timeout must be between 0 and ${this.maxTimeout} seconds` });
+    }
+    if (!(memory >= MIN_MEMORY && memory <= this.maxMemory)) {
+      return sendJson(res, 422, { detail: `memory must be between ${MIN_MEMORY} and ${this.maxMemory} MB` });
+    }
+    // A session's memory limit was set when it was opened
+    Object.assign(request, { timeout, memory: session ? session.memory : memory });
+    const delay = url.searchParams.get('screenshot_delay');
+    if (delay !== null && !(Number(delay) >= 0 && Number(delay) < timeout)) {
+      return sendJson(res, 422, { detail: `screenshot_delay must be between 0 and the timeout (${timeout} seconds)` });
+    }
+    if (['1', 'true'].includes(request.query.benchmark) && !['ahk', 'ahk2'].includes(request.language)) {
+      return sendJson(res, 422, { detail: 'benchmark is only available for ahk, ahk2' });
+    }
+
+    let spec = this._nextSpec(request);
+    if (typeof spec === 'function') {
+      spec = await spec(request);
+    }
+    if (spec.delay) {
+      await new Promise((resolve) => setTimeout(resolve, spec.delay));
+    }
+    if (spec.status && spec.status !== 200) {
+      return sendJson(res, spec.status, spec.body ?? { detail: 'Mock error' }, spec.headers);
+    }
+    if (match[2] === 'stream') {
+      return this._stream(res, request, spec);
+    }
+    const response = this._runResponse(request, spec);
+    if (session) {
+      const stopped = Boolean(spec.timeout || spec.dialogs);
+      if (stopped) {
+        this.sessions.delete(session.id);
+      } else {
+        for (const name of [...Object.keys(request.workspace.files), ...Object.keys(response.files)]) {
+          session.files.add(name);
+        }
+        session.runs++;
+      }
+      response.session = { ...sessionInfo(session), closed: stopped };
+    }
+    return sendJson(res, 200, response);
+  }
+
+  /**
+   * Check a request's API key like api.py's authorize(). Returns the key
+   * (null when none are configured), or false after answering 401.
+   * @private
+   */
+  _authorize(req, res) {
+    if (this.apiKeys.length === 0) {
+      return null;
+    }
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const key = scheme?.toLowerCase() === 'bearer' ? token : req.headers['x-api-key'];
+    if (!this.apiKeys.includes(key)) {
+      sendJson(res, 401, { detail: key ? 'Invalid API key' : 'An API key is required' },
+        { 'WWW-Authenticate': 'Bearer' });
+      return false;
+    }
+    return key;
+  }
+
+  /**
+   * Answer POST /sessions like api.py's create_session
+   * @private
+   */
+  _openSession(req, res, url) {
+    const key = this._authorize(req, res);
+    if (key === false) return;
+    const memory = Number(url.searchParams.get('memory') ?? DEFAULT_MEMORY);
+    if (!(memory >= MIN_MEMORY && memory <= this.maxMemory)) {
+      return sendJson(res, 422, { detail: `memory must be between ${MIN_MEMORY} and ${this.maxMemory} MB` });
+    }
+    if (this.sessions.size >= this.maxSessions) {
+      return sendJson(res, 503, { detail: `All ${this.maxSessions} sessions are in use` });
+    }
+    const session = { id: `session${++this._sessionCount}`, key, memory, runs: 0, files: new Set() };
+    this.sessions.set(session.id, session);
+    return sendJson(res, 200, sessionInfo(session));
+  }
+
+  /**
+   * The key's open session with this id, or null after answering 404
+   * @private
+   */
+  _findSession(res, id, key) {
+    const session = this.sessions.get(id);
+    if (!session || session.key !== key) {
+      sendJson(res, 404, { detail: `No open session ${id}` });
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * The GET /languages list, like api.py's
+   * @private
+   */
+  _languages() {
+    return [
+      ...BUILTIN_LANGUAGES.map((name) => ({
+        name,
+        kind: name === 'rlx' ? 'rlx' : 'ahk',
+        description: LANGUAGE_DESCRIPTIONS[name],
+        path: null,
+        lint: name !== 'rlx',
+        format: name !== 'rlx',
+      })),
+      ...this.interpreters.map((name) => ({
+        name,
+        kind: 'unix',
+        description: `Script run with #!/usr/bin/env ${name}`,
+        path: `/usr/bin/${name}`,
+        lint: false,
+        format: false,
+      })),
+    ];
+  }
+
+  /**
+   * Answer /format like api.py's format_code, with the spec's `formatted`
+   * code in place of running the formatter
+   * @private
+   */
+  async _format(res, request) {
+    const { indent = 'tab', brace_style: braceStyle = 'preserve', normalize_case: normalizeCase = 'true' } = request.query;
+    if (indent !== 'tab' && !(/^\d+$/.test(indent) && indent >= 1 && indent <= 8)) {
+      return sendJson(res, 422, { detail: 'indent must be tab or a number of spaces from 1 to 8' });
+    }
+    if (!['preserve', 'otb', 'allman'].includes(braceStyle)) {
+      return sendJson(res, 422, { detail: 'brace_style must be one of preserve, otb, allman' });
+    }
+    if (!['1', 'true', '0', 'false'].includes(normalizeCase.toLowerCase())) {
+      return sendJson(res, 422, { detail: 'normalize_case must be true or false' });
+    }
+
+    let spec = this._nextSpec(request);
+    if (typeof spec === 'function') {
+      spec = await spec(request);
+    }
+    if (spec.status && spec.status !== 200) {
+      return sendJson(res, spec.status, spec.body ?? { detail: 'Mock error' }, spec.headers);
+    }
+    const code = spec.formatted ?? request.code;
+    return sendJson(res, 200, { code, changed: code !== request.code, language: request.language });
+  }
+
+  /**
+   * Send a run response as server-sent events, like api.py's stream_lang
+   * @private
+   */
+  async _stream(res, request, spec) {
+    const { stdout, ...done } = this._runResponse(request, {
+      ...spec,
+      stdout: spec.chunks ? spec.chunks.join('') : spec.stdout,
+    });
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+    for (const text of spec.chunks ?? (stdout ? [stdout] : [])) {
+      res.write(`event: stdout\ndata: ${JSON.stringify({ text })}\n\n`);
+      if (spec.chunkDelay) {
+        await new Promise((resolve) => setTimeout(resolve, spec.chunkDelay));
+      }
+    }
+    if (spec.hang) {
+      // Leave the connection open, like a server that stopped responding
+      return;
+    }
+    res.end(`event: done\ndata: ${JSON.stringify(done)}\n\n`);
+  }
+
+  /**
+   * Metrics like api.py's, counting the runs this server has answered as
+   * taking 0.5 seconds each
+   * @private
+   */
+  _metrics(res) {
+    const runs = {};
+    for (const request of this.requests) {
+      runs[request.language] = (runs[request.language] ?? 0) + 1;
+    }
+    const lines = [
+      `cloudahk_pool_containers{state="idle"} ${this.containers}`,
+      'cloudahk_pool_containers{state="starting"} 0',
+      'cloudahk_pool_containers{state="busy"} 0',
+      `cloudahk_pool_min_containers ${this.containers}`,
+      `cloudahk_pool_max_containers ${this.containers}`,
+      'cloudahk_queue_depth 0',
+    ];
+    for (const [language, count] of Object.entries(runs)) {
+      lines.push(
+        `cloudahk_run_duration_seconds_bucket{language="${language}",le="0.5"} ${count}`,
+        `cloudahk_run_duration_seconds_bucket{language="${language}",le="+Inf"} ${count}`,
+        `cloudahk_run_duration_seconds_sum{language="${language}"} ${count * 0.5}`,
+        `cloudahk_run_duration_seconds_count{language="${language}"} ${count}`,
+        `cloudahk_runs_total{language="${language}"} ${count}`,
+      );
+    }
+    lines.push('cloudahk_container_allocation_failures_total 0');
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(lines.join('\n') + '\n');
+  }
+
+  /**
+   * Pick the response spec for a run request
+   * @private
+   */
+  _nextSpec(request) {
+    if (this._queue.length > 0) {
+      return this._queue.shift();
+    }
+    const rule = this._rules.find(({ match }) => {
+      if (typeof match === 'string') return request.code.includes(match);
+      if (match instanceof RegExp) return match.test(request.code);
+      return match(request);
+    });
+    return rule ? rule.spec : this.defaultResponse;
+  }
+
+  /**
+   * Build a run response body the way api.py does
+   * @private
+   */
+  _runResponse(request, spec) {
+    const screenshot = ['1', 'true'].includes(request.query.screenshot) &&
+      { screenshot: spec.screenshot ?? BLANK_PNG };
+    if (spec.fixture) {
+      return { ...loadFixture(spec.fixture).response, ...screenshot };
+    }
+
+    const builtin = BUILTIN_LANGUAGES.includes(request.language.toLowerCase());
+    const ahk = ['ahk', 'ahk2'].includes(request.language);
+    const time = spec.timeout || spec.dialogs ? null : (spec.time ?? 0.5);
+    // Only /run times the script body, like api.py
+    const body = time === null ? null : spec.benchmark === undefined ? 0.01 : spec.benchmark;
+    const benchmark = ['1', 'true'].includes(request.query.benchmark) && request.path.endsWith('/run') && !request.session && {
+      benchmark: { body, startup: body === null ? null : Math.max(0, time - body) },
+    };
+    return {
+      time,
+      stdout: spec.stdout ?? '',
+      language: spec.language ?? request.language,
+      timeout: request.timeout,
+      memory: request.memory,
+      preamble_lines: ahk || !builtin ? 1 : 0,
+      ...(spec.dialogs && { blocked_by_dialog: spec.dialogs }),
+      ...(request.workspace && { files: spec.files ?? {} }),
+      ...screenshot,
+      ...benchmark,
+    };
+  }
+}
+
+function sessionInfo(session) {
+  return { id: session.id, memory: session.memory, ttl: SESSION_TTL, runs: session.runs, files: [...session.files].sort() };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+export default MockCloudAHKServer;
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} description - What the recording shows
+ * @property {string} language - Language the code was run as
+ * @property {string} code - The code that was submitted
+ * @property {Object} response - The server's JSON response
+ */
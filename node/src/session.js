@@ -0,0 +1,127 @@
+/**
+ * CloudAHK Sessions
+ *
+ * A session keeps one container for a series of runs (POST /sessions), so
+ * they skip starting Wine and each sees the files earlier runs left in its
+ * working directory. Runs in it go to POST /sessions/{id}/{language}/run,
+ * which answers like /run plus the session's state:
+ *
+ *   "session": {"id": "...", "memory": 256, "ttl": 300, "runs": 2,
+ *               "files": ["helper.ahk"], "closed": false}
+ *
+ * The server closes a session after `ttl` idle seconds, and when a run in it
+ * times out or is blocked by a dialog (stopping the script stops the
+ * container).
+ */
+
+/**
+ * An open session, from `client.session()`
+ */
+export class Session {
+  /**
+   * @param {Object} client - The CloudAHKClient that opened it
+   * @param {string} endpoint - The server holding the session's container
+   * @param {SessionInfo} info - The server's description of it
+   * @param {Object} options
+   * @param {number} options.requestOverhead - ms to allow a run beyond its timeout
+   */
+  constructor(client, endpoint, info, options) {
+    this._client = client;
+    this._requestOverhead = options.requestOverhead;
+    this.endpoint = endpoint;
+    this.id = info.id;
+    this.info = { ...info, closed: false };
+  }
+
+  /**
+   * Whether the session has been closed, by `close()` or by the server
+   * @returns {boolean}
+   */
+  get closed() {
+    return this.info.closed;
+  }
+
+  /**
+   * Run code in the session's container
+   *
+   * Takes `run()`'s options, except that `memoryLimit` was fixed when the
+   * session was opened, results are never cached, and language 'auto' uses
+   * the detected version without the fallback. Files sent with the run are
+   * written next to those already there; `result.files` has only the ones
+   * this run created or changed.
+   *
+   * @param {string} code - The code to execute
+   * @param {Object} options - Any `run()` option
+   * @returns {Promise<ExecutionResult & {session: SessionInfo}>}
+   */
+  async run(code, options = {}) {
+    if (this.closed) {
+      throw new Error(`Session ${this.id} is closed`);
+    }
+    const request = await this._client._prepareRun(code, { ...options, cache: false });
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), request.timeout + this._requestOverhead);
+
+    try {
+      const response = await this._client._fetchAt(this.endpoint,
+        `/sessions/${this.id}/${request.language}/run?${request.params}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          // Always the JSON form: the script runs from a file in the session's directory
+          body: JSON.stringify({ code: request.body, ...request.workspace }),
+          signal: controller.signal,
+        });
+      clearTimeout(timeoutId);
+      if (!response.ok) {
+        if (response.status === 404) {
+          // Expired, or the server restarted
+          this.info.closed = true;
+        }
+        throw await this._client._apiError(response);
+      }
+
+      const data = await response.json();
+      this.info = data.session;
+      return { ...this._client._parseResult(data, { ...request, cacheKey: null }), session: data.session };
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') {
+        throw new Error('CloudAHK request timed out');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close the session, stopping any script running in it and freeing its
+   * container. Closing a closed session does nothing.
+   *
+   * @returns {Promise<SessionInfo>}
+   */
+  async close() {
+    if (this.closed) {
+      return this.info;
+    }
+    const response = await this._client._fetchAt(this.endpoint, `/sessions/${this.id}`, { method: 'DELETE' });
+    if (response.status === 404) {
+      // Already expired
+      this.info.closed = true;
+      return this.info;
+    }
+    if (!response.ok) {
+      throw await this._client._apiError(response);
+    }
+    this.info = await response.json();
+    return this.info;
+  }
+}
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {string} id
+ * @property {number} memory - The memory limit of every run, in MB
+ * @property {number} ttl - Seconds the session stays open without runs
+ * @property {number} runs - Runs that completed in it
+ * @property {Array<string>} files - Files known to be in its working directory
+ * @property {boolean} closed
+ */
@@ -0,0 +1,120 @@
+/**
+ * CloudAHK Source Map
+ *
+ * Tracks where each line of the script sent to the server came from, so
+ * that line numbers reported by AutoHotkey can be mapped back to the code
+ * the caller actually wrote.
+ */
+
+/**
+ * Line-level source map from the sent script back to its original sources
+ */
+export class SourceMap {
+  constructor() {
+    // Index = sent line - 1, value = { file, line } or null for generated lines
+    this.mappings = [];
+    // Original source text by file (null for inline code)
+    this.sources = new Map();
+  }
+
+  /**
+   * Build an identity map for a single piece of code
+   *
+   * @param {string} code - The code as written by the caller
+   * @param {string|null} [file=null] - File the code came from, if any
+   * @returns {SourceMap}
+   */
+  static fromCode(code, file = null) {
+    const map = new SourceMap();
+    const lines = map.addSource(file, code);
+    for (let i = 0; i < lines.length; i++) {
+      map.addMapping(file, i + 1);
+    }
+    return map;
+  }
+
+  /**
+   * Register the original text of a source file
+   *
+   * @param {string|null} file
+   * @param {string} code
+   * @returns {Array<string>} The source split into lines
+   */
+  addSource(file, code) {
+    const lines = code.split(/\r?\n/);
+    this.sources.set(file, lines);
+    return lines;
+  }
+
+  /**
+   * Append a sent line that maps to an original source line
+   *
+   * @param {string|null} file
+   * @param {number} line - 1-based line in the original source
+   */
+  addMapping(file, line) {
+    this.mappings.push({ file, line });
+  }
+
+  /**
+   * Append sent lines that have no original source (injected code)
+   *
+   * @param {number} [count=1]
+   */
+  addUnmapped(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.mappings.push(null);
+    }
+  }
+
+  /**
+   * Insert unmapped lines before everything mapped so far
+   *
+   * @param {number} count
+   */
+  prepend(count) {
+    this.mappings.unshift(...new Array(count).fill(null));
+  }
+
+  /**
+   * Map a line of the sent script back to its original position
+   *
+   * @param {number} sentLine - 1-based line in the sent script
+   * @returns {{file: string|null, line: number, text: string|null}|null}
+   */
+  originalPositionFor(sentLine) {
+    const mapping = this.mappings[sentLine - 1];
+    if (!mapping) return null;
+    const lines = this.sources.get(mapping.file);
+    return {
+      file: mapping.file,
+      line: mapping.line,
+      text: lines ? (lines[mapping.line - 1] ?? null) : null,
+    };
+  }
+
+  /**
+   * Render the lines surrounding an original position
+   *
+   * @param {string|null} file
+   * @param {number} line - 1-based line to highlight
+   * @param {number} [radius=2] - Lines of context on each side
+   * @returns {string}
+   */
+  snippet(file, line, radius = 2) {
+    const lines = this.sources.get(file);
+    if (!lines) return '';
+
+    const first = Math.max(1, line - radius);
+    const last = Math.min(lines.length, line + radius);
+    const width = String(last).length;
+    const out = [];
+    for (let n = first; n <= last; n++) {
+      const marker = n === line ? '>' : ' ';
+      out.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    }
+    return out.join('\n');
+  }
+}
+
+export default SourceMap;
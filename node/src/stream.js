@@ -0,0 +1,186 @@
+/**
+ * CloudAHK Streaming
+ *
+ * POST /{language}/stream runs a script like /run but answers with
+ * server-sent events, so output can be shown while the script is running
+ * and isn't lost when it hangs:
+ *
+ *   event: stdout
+ *   data: {"text": "..."}
+ *
+ *   event: done
+ *   data: {"time": 0.5, "language": "ahk", "preamble_lines": 1, ...}
+ *
+ * `done` carries the same fields as a /run response, minus stdout.
+ */
+
+import { EventEmitter } from 'events';
+import { extractRecords, splitIncompleteRecord } from './channel.js';
+
+/**
+ * Parse a server-sent event stream into events
+ *
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @returns {AsyncGenerator<{event: string, data: *}>}
+ */
+export async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n');
+
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      let event = 'message';
+      const data = [];
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length > 0) {
+        yield { event, data: JSON.parse(data.join('\n')) };
+      }
+    }
+  }
+}
+
+/**
+ * A running script's output, as an event emitter and an async iterator
+ *
+ * Events:
+ *   'stdout' (text)   - Output printed by the script (side channel records removed)
+ *   'done' (result)   - The run finished; `result` is an ExecutionResult
+ *   'error' (error)   - The request failed (only emitted when listened for;
+ *                       `result` rejects either way)
+ *
+ * Iterating yields `{type: 'stdout', text}` for each chunk and finally
+ * `{type: 'done', result}`.
+ */
+export class RunStream extends EventEmitter {
+  /**
+   * @param {Function} open - Called with an AbortSignal; resolves to
+   *   `{events, parse}` where `events` is an async iterable of server events
+   *   and `parse(done, stdout)` builds the ExecutionResult
+   * @param {Object} options
+   * @param {number} options.deadline - Abandon the request after this many ms
+   */
+  constructor(open, options) {
+    super();
+    this.output = '';
+    this._raw = '';
+    this._pending = '';
+    this._queue = [];
+    this._wake = null;
+    this._finished = false;
+    this._controller = new AbortController();
+    this._cancelled = false;
+
+    this.result = this._consume(open, options.deadline);
+    // Callers that only listen for events shouldn't see unhandled rejections
+    this.result.catch(() => {});
+  }
+
+  /**
+   * Stop the run and abandon the request
+   */
+  cancel() {
+    this._cancelled = true;
+    this._controller.abort();
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      if (this._queue.length > 0) {
+        const item = this._queue.shift();
+        if (item.type === 'error') throw item.error;
+        yield item;
+        if (item.type === 'done') return;
+        continue;
+      }
+      if (this._finished) return;
+      await new Promise((resolve) => { this._wake = resolve; });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _consume(open, deadline) {
+    // Let callers attach listeners before the first event
+    await Promise.resolve();
+    const timeoutId = setTimeout(() => this._controller.abort(), deadline);
+
+    try {
+      const { events, parse } = await open(this._controller.signal);
+      for await (const { event, data } of events) {
+        if (event === 'stdout') {
+          this._write(data.text);
+        } else if (event === 'done') {
+          this._write('', true);
+          const result = parse(data, this._raw);
+          this._push({ type: 'done', result });
+          this.emit('done', result);
+          return result;
+        }
+      }
+      throw new Error('CloudAHK stream ended before the script finished');
+    } catch (caught) {
+      let error = caught;
+      if (caught.name === 'AbortError') {
+        error = new Error(this._cancelled ? 'CloudAHK stream cancelled' : 'CloudAHK request timed out');
+      }
+      // Keep what the script printed, to show where it got stuck
+      error.output = this.output;
+      this._push({ type: 'error', error });
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      this._finished = true;
+      this._notify();
+    }
+  }
+
+  /**
+   * Handle a chunk of raw output, holding back unfinished side channel records
+   * @private
+   */
+  _write(text, final = false) {
+    this._raw += text;
+    const { complete, pending } = final ?
+      { complete: this._pending + text, pending: '' } :
+      splitIncompleteRecord(this._pending + text);
+    this._pending = pending;
+
+    const visible = extractRecords(complete).output;
+    if (visible) {
+      this.output += visible;
+      this._push({ type: 'stdout', text: visible });
+      this.emit('stdout', visible);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _push(item) {
+    this._queue.push(item);
+    this._notify();
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    if (this._wake) {
+      this._wake();
+      this._wake = null;
+    }
+  }
+}
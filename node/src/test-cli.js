@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * CloudAHK Test Runner CLI
+ *
+ * Runs `*.test.ahk` / `*.test.ahk2` files and reports the results as TAP
+ * on stdout, optionally writing JUnit XML for CI dashboards.
+ *
+ * Usage:
+ *   npx cloudahk-test [paths...] [options]
+ *
+ * Options:
+ *   -u, --update              Rewrite snapshots that don't match
+ *   --ci                      Fail on missing snapshots (default: $CI is set)
+ *   --no-ci                   Write missing snapshots even when $CI is set
+ *   --junit <file>            Also write JUnit XML to <file>
+ *   --concurrency <n>         Test files to run at once
+ *   --capture-exceptions      Detect exceptions with an OnError handler
+ *   --lib <dir>               Extra directory for #Include <Lib> (repeatable)
+ *   --url <url>               CloudAHK API URL (default: $CLOUDAHK_URL)
+ *
+ * Exits with 1 if any test fails.
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { CloudAHKClient } from './client.js';
+import { discoverTests, formatJUnit, formatTap, runTests } from './test-runner.js';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      update: { type: 'boolean', short: 'u', default: false },
+      ci: { type: 'boolean', default: Boolean(process.env.CI) },
+      // Spelled out: parseArgs' allowNegative needs Node 20.16 or later
+      'no-ci': { type: 'boolean', default: false },
+      junit: { type: 'string' },
+      concurrency: { type: 'string' },
+      'capture-exceptions': { type: 'boolean', default: false },
+      lib: { type: 'string', multiple: true },
+      url: { type: 'string' },
+    },
+  });
+
+  const client = new CloudAHKClient({ baseUrl: values.url, libPaths: values.lib });
+  const files = await discoverTests(positionals.length > 0 ? positionals : ['.']);
+  if (files.length === 0) {
+    console.error('No *.test.ahk or *.test.ahk2 files found');
+    process.exit(1);
+  }
+
+  const report = await runTests(client, files, {
+    update: values.update,
+    ci: values.ci && !values['no-ci'],
+    concurrency: values.concurrency ? parseInt(values.concurrency, 10) : undefined,
+    captureExceptions: values['capture-exceptions'],
+  });
+
+  process.stdout.write(formatTap(report));
+  if (values.junit) {
+    await fs.writeFile(values.junit, formatJUnit(report));
+  }
+
+  process.exit(report.stats.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,475 @@
+/**
+ * CloudAHK Test Runner
+ *
+ * Runs `*.test.ahk` / `*.test.ahk2` files through CloudAHK and checks their
+ * output against inline `; expect:` directives or `.expected` snapshot
+ * files, with TAP and JUnit XML reporters for CI.
+ *
+ * Directives (comment lines anywhere in the test file):
+ *   ; expect: <line>          - Expected output line, in order
+ *   ; expect-error            - The script must report an error
+ *   ; expect-error: <value>   - ...of this type ('syntax', 'reference', ...)
+ *                               or with this text in its message
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { languageForFile } from './client.js';
+
+const TEST_FILE_PATTERN = /\.test\.ahk2?$/i;
+const SNAPSHOT_EXTENSION = '.expected';
+const ERROR_TYPES = ['syntax', 'reference', 'type', 'runtime', 'timeout', 'wine', 'dialog'];
+
+/**
+ * Find test files under the given files and directories
+ *
+ * @param {Array<string>} paths - Files or directories to search
+ * @returns {Promise<Array<string>>} Sorted test file paths
+ */
+export async function discoverTests(paths) {
+  const files = [];
+
+  const visit = async (target) => {
+    const stat = await fs.stat(target);
+    if (stat.isFile()) {
+      files.push(target);
+      return;
+    }
+    for (const entry of await fs.readdir(target, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const fullPath = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        await visit(fullPath);
+      } else if (TEST_FILE_PATTERN.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  for (const target of paths) {
+    await visit(target);
+  }
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Read the expectation directives from a test file
+ *
+ * @param {string} code - Contents of the test file
+ * @returns {{output: Array<string>|null, errors: Array<string|null>}}
+ */
+export function parseDirectives(code) {
+  const output = [];
+  const errors = [];
+  let hasOutput = false;
+
+  for (const line of code.split(/\r?\n/)) {
+    let match = /^\s*;\s*expect:\s?(.*)$/i.exec(line);
+    if (match) {
+      hasOutput = true;
+      output.push(match[1].trimEnd());
+      continue;
+    }
+    match = /^\s*;\s*expect-error(?::\s*(.*?))?\s*$/i.exec(line);
+    if (match) {
+      errors.push(match[1] || null);
+    }
+  }
+
+  return { output: hasOutput ? output : null, errors };
+}
+
+/**
+ * Run test files and check them against their expectations
+ *
+ * @param {import('./client.js').CloudAHKClient} client
+ * @param {Array<string>} files - Test files, e.g. from discoverTests()
+ * @param {Object} options
+ * @param {boolean} [options.update=false] - Rewrite snapshots that don't match
+ * @param {boolean} [options.ci=false] - Fail on missing snapshots instead of writing them
+ * @param {number} [options.concurrency] - Files to run at once
+ * @param {boolean} [options.captureExceptions=false] - Passed through to `run()`
+ * @returns {Promise<TestReport>}
+ */
+export async function runTests(client, files, options = {}) {
+  const startTime = Date.now();
+  const tests = await Promise.all(files.map(async (file) => {
+    const code = await fs.readFile(file, 'utf-8');
+    return {
+      file,
+      code,
+      language: languageForFile(file, code),
+      directives: parseDirectives(code),
+    };
+  }));
+
+  const batch = await client.runBatch(
+    tests.map((test) => ({ id: test.file, code: test.code, language: test.language, scriptPath: test.file })),
+    {
+      concurrency: options.concurrency,
+      captureExceptions: options.captureExceptions,
+    }
+  );
+
+  const results = [];
+  for (let i = 0; i < tests.length; i++) {
+    results.push(await checkTest(tests[i], batch.results[i], options));
+  }
+
+  return {
+    results,
+    stats: {
+      total: results.length,
+      passed: results.filter((r) => r.status === 'pass').length,
+      failed: results.filter((r) => r.status !== 'pass').length,
+      duration: (Date.now() - startTime) / 1000,
+    },
+  };
+}
+
+/**
+ * Check one test's execution against its directives and snapshot
+ * @private
+ */
+async function checkTest(test, entry, options) {
+  const testResult = {
+    file: test.file,
+    language: test.language,
+    status: 'pass',
+    failures: [],
+    diff: null,
+    snapshot: null,
+    duration: entry.result?.executionTime ?? null,
+    result: entry.result,
+  };
+
+  if (!entry.result) {
+    testResult.status = 'error';
+    testResult.failures.push(`Request failed: ${entry.error}`);
+    return testResult;
+  }
+
+  const { result } = entry;
+  const { directives } = test;
+
+  // Errors: either exactly the expected ones, or none at all
+  if (directives.errors.length > 0) {
+    for (const expected of directives.errors) {
+      if (!result.errors.some((e) => errorMatches(e, expected))) {
+        testResult.failures.push(expected
+          ? `Expected an error matching "${expected}"`
+          : 'Expected an error, but the script ran without errors');
+      }
+    }
+  } else if (result.timedOut) {
+    testResult.failures.push('Script timed out');
+  } else if (result.hasErrors) {
+    testResult.failures.push(result.summary);
+  }
+
+  // Output: inline directives win over the snapshot file
+  const actual = normalizeOutput(result.output);
+  if (directives.output) {
+    const expected = directives.output.join('\n');
+    if (actual !== expected) {
+      testResult.failures.push('Output does not match `; expect:` directives');
+      testResult.diff = diffOutput(expected, actual);
+    }
+  } else if (directives.errors.length === 0) {
+    await checkSnapshot(testResult, actual, options);
+  }
+
+  if (testResult.failures.length > 0) {
+    testResult.status = 'fail';
+  }
+  return testResult;
+}
+
+/**
+ * Compare output to the test's `.expected` file, writing it if asked
+ * @private
+ */
+async function checkSnapshot(testResult, actual, options) {
+  const snapshotPath = testResult.file + SNAPSHOT_EXTENSION;
+  let expected = null;
+  try {
+    expected = normalizeOutput(await fs.readFile(snapshotPath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Never record output from a run that already failed
+  const canWrite = testResult.failures.length === 0;
+
+  if (expected === actual) {
+    testResult.snapshot = 'matched';
+  } else if (expected === null && canWrite && (options.update || !options.ci)) {
+    await fs.writeFile(snapshotPath, actual + '\n');
+    testResult.snapshot = 'written';
+  } else if (expected !== null && canWrite && options.update) {
+    await fs.writeFile(snapshotPath, actual + '\n');
+    testResult.snapshot = 'updated';
+  } else if (expected === null) {
+    testResult.failures.push(`Missing snapshot ${snapshotPath}`);
+  } else {
+    testResult.failures.push(`Output does not match snapshot ${snapshotPath}`);
+    testResult.diff = diffOutput(expected, actual);
+  }
+}
+
+/**
+ * Check a run against assertions, as the MCP `test_ahk` tool does. With
+ * none given, the script must run without errors (what `validate()` calls
+ * valid).
+ *
+ * @param {import('./client.js').ExecutionResult} result
+ * @param {Object} assertions
+ * @param {string} [assertions.output] - The whole output, compared like `; expect:` lines
+ * @param {Array<string>} [assertions.outputContains] - Text the output must include
+ * @param {boolean} [assertions.noErrors] - No errors and no timeout (or, if false, some error)
+ * @param {string} [assertions.errorType] - Some error has this type ('syntax', 'reference', ...)
+ * @param {string} [assertions.errorMessage] - Some error's message includes this text
+ * @param {Array<*>} [assertions.values] - Exactly the values the script passed to `Emit()`
+ * @returns {{passed: boolean, assertions: Array<AssertionResult>}}
+ */
+export function checkAssertions(result, assertions = {}) {
+  const checks = [];
+  const given = Object.keys(assertions).filter((name) => assertions[name] !== undefined);
+  const actualOutput = normalizeOutput(result.output);
+
+  if (assertions.output !== undefined) {
+    const expected = normalizeOutput(assertions.output);
+    checks.push({
+      assertion: 'output',
+      passed: actualOutput === expected,
+      expected,
+      actual: actualOutput,
+      ...(actualOutput !== expected && { diff: diffOutput(expected, actualOutput) }),
+    });
+  }
+  for (const text of assertions.outputContains || []) {
+    checks.push({ assertion: 'outputContains', passed: result.output.includes(text), expected: text, actual: actualOutput });
+  }
+  if (assertions.noErrors !== undefined || given.length === 0) {
+    const expected = assertions.noErrors ?? true;
+    checks.push({ assertion: 'noErrors', passed: result.success === expected, expected, actual: result.summary });
+  }
+  if (assertions.errorType !== undefined) {
+    checks.push({
+      assertion: 'errorType',
+      passed: result.errors.some((e) => e.type === assertions.errorType.toLowerCase()),
+      expected: assertions.errorType,
+      actual: result.errors.map((e) => e.type),
+    });
+  }
+  if (assertions.errorMessage !== undefined) {
+    checks.push({
+      assertion: 'errorMessage',
+      passed: result.errors.some((e) => e.message.toLowerCase().includes(assertions.errorMessage.toLowerCase())),
+      expected: assertions.errorMessage,
+      actual: result.errors.map((e) => e.message),
+    });
+  }
+  if (assertions.values !== undefined) {
+    checks.push({
+      assertion: 'values',
+      passed: isDeepStrictEqual(result.values, assertions.values),
+      expected: assertions.values,
+      actual: result.values,
+    });
+  }
+
+  return { passed: checks.every((check) => check.passed), assertions: checks };
+}
+
+/**
+ * Whether a detected error satisfies an `; expect-error:` value
+ * @private
+ */
+function errorMatches(error, expected) {
+  if (!expected) return true;
+  if (ERROR_TYPES.includes(expected.toLowerCase())) {
+    return error.type === expected.toLowerCase();
+  }
+  return error.message.toLowerCase().includes(expected.toLowerCase());
+}
+
+/**
+ * Normalize output for comparison: LF line endings, no trailing whitespace
+ *
+ * @param {string} output
+ * @returns {string}
+ */
+export function normalizeOutput(output) {
+  return output
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.trimEnd())
+    .join('\n')
+    .replace(/\n+$/, '');
+}
+
+/**
+ * Line diff of expected vs. actual output (`-` expected, `+` actual)
+ *
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {string}
+ */
+export function diffOutput(expected, actual) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+
+  // Longest common subsequence table
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+      lines.push(`+ ${b[j++]}`);
+    } else {
+      lines.push(`- ${a[i++]}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a report as TAP version 13
+ *
+ * @param {TestReport} report
+ * @returns {string}
+ */
+export function formatTap(report) {
+  const lines = ['TAP version 13', `1..${report.results.length}`];
+
+  report.results.forEach((test, index) => {
+    const ok = test.status === 'pass' ? 'ok' : 'not ok';
+    const note = test.snapshot === 'written' || test.snapshot === 'updated'
+      ? ` # snapshot ${test.snapshot}`
+      : '';
+    lines.push(`${ok} ${index + 1} - ${test.file}${note}`);
+
+    if (test.status !== 'pass') {
+      lines.push('  ---');
+      lines.push(`  language: ${test.language}`);
+      lines.push('  failures:');
+      for (const failure of test.failures) {
+        lines.push(...yamlBlock(failure, '    - ', '      '));
+      }
+      if (test.diff) {
+        lines.push('  diff: |');
+        lines.push(...test.diff.split('\n').map((line) => `    ${line}`));
+      }
+      lines.push('  ...');
+    }
+  });
+
+  lines.push(`# tests ${report.stats.total}`);
+  lines.push(`# pass ${report.stats.passed}`);
+  lines.push(`# fail ${report.stats.failed}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a possibly multi-line string as a YAML block list item
+ * @private
+ */
+function yamlBlock(text, firstPrefix, restPrefix) {
+  if (!text.includes('\n')) return [`${firstPrefix}${JSON.stringify(text)}`];
+  return [`${firstPrefix}|`, ...text.split('\n').map((line) => `${restPrefix}${line}`)];
+}
+
+/**
+ * Format a report as JUnit XML
+ *
+ * @param {TestReport} report
+ * @param {string} [suiteName='cloudahk']
+ * @returns {string}
+ */
+export function formatJUnit(report, suiteName = 'cloudahk') {
+  const failures = report.results.filter((r) => r.status === 'fail').length;
+  const errors = report.results.filter((r) => r.status === 'error').length;
+  const suiteAttrs = `name="${xmlEscape(suiteName)}" tests="${report.stats.total}" ` +
+    `failures="${failures}" errors="${errors}" time="${report.stats.duration}"`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${suiteAttrs}>`,
+    `  <testsuite ${suiteAttrs}>`,
+  ];
+
+  for (const test of report.results) {
+    const classname = path.dirname(test.file).split(path.sep).join('.');
+    lines.push(`    <testcase classname="${xmlEscape(classname)}" ` +
+      `name="${xmlEscape(path.basename(test.file))}" time="${test.duration ?? 0}">`);
+
+    if (test.status !== 'pass') {
+      const tag = test.status === 'error' ? 'error' : 'failure';
+      const details = [...test.failures, ...(test.diff ? [test.diff] : [])].join('\n\n');
+      lines.push(`      <${tag} message="${xmlEscape(test.failures[0] || '')}">` +
+        `${xmlEscape(details)}</${tag}>`);
+    }
+    if (test.result?.output) {
+      lines.push(`      <system-out>${xmlEscape(test.result.output)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @private
+ */
+function xmlEscape(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @typedef {Object} TestResult
+ * @property {string} file - Path of the test file
+ * @property {string} language - Language it ran as
+ * @property {string} status - 'pass', 'fail', or 'error' (request failed)
+ * @property {Array<string>} failures - Why the test failed
+ * @property {string|null} diff - Expected vs. actual output diff
+ * @property {string|null} snapshot - 'matched', 'written', 'updated', or null
+ * @property {number|null} duration - Execution time in seconds
+ * @property {import('./client.js').ExecutionResult|null} result - The run result
+ */
+
+/**
+ * @typedef {Object} TestReport
+ * @property {Array<TestResult>} results - One per test file, in order
+ * @property {Object} stats
+ * @property {number} stats.total
+ * @property {number} stats.passed
+ * @property {number} stats.failed - Failed or errored tests
+ * @property {number} stats.duration - Wall-clock seconds
+ */
+
+/**
+ * @typedef {Object} AssertionResult
+ * @property {string} assertion - 'output', 'outputContains', 'noErrors', 'errorType' or 'errorMessage'
+ * @property {boolean} passed
+ * @property {*} expected - The asserted value
+ * @property {*} actual - What the run gave: its output, summary, error types or messages
+ * @property {string} [diff] - For a failed `output`, expected vs. actual output
+ */
@@ -0,0 +1,152 @@
+/**
+ * CloudAHK Version Detection
+ *
+ * v1 and v2 scripts share a file extension and most of their vocabulary, but
+ * each fails to load under the other. detectVersion() weighs syntax that only
+ * one of them accepts (legacy commands, `=` assignments, fat-arrow functions,
+ * ...) and reports the likelier version with a confidence score.
+ *
+ * Scripts without any telling syntax (e.g. `Print(x + y)`) run the same
+ * either way and are reported as v1, the server's default, at 0.5.
+ */
+
+// Common commands, which v1 scripts write as `Command, args`
+const COMMANDS = [
+  'MsgBox', 'Send', 'SendInput', 'Sleep', 'Run', 'RunWait', 'FileAppend', 'FileRead', 'FileDelete',
+  'FileCopy', 'FileMove', 'WinActivate', 'WinWait', 'WinWaitActive', 'WinClose', 'WinGet', 'WinGetTitle',
+  'SetTimer', 'ToolTip', 'TrayTip', 'InputBox', 'Gui', 'GuiControl', 'Menu', 'Click', 'MouseMove',
+  'ControlSend', 'ControlClick', 'ControlGetText', 'RegRead', 'RegWrite', 'SetWorkingDir', 'SoundBeep',
+  'Process', 'Loop', 'Hotkey', 'IniRead', 'IniWrite', 'ExitApp', 'Reload', 'SplitPath',
+].join('|');
+
+/**
+ * Syntax that only one version accepts. `weight` is how telling a single
+ * occurrence is; each rule counts once however often it matches.
+ */
+const RULES = [
+  // v1 only
+  { version: 'v1', weight: 3, pattern: new RegExp(`^\\s*(?:${COMMANDS})\\s*,`, 'im'), reason: 'command syntax (`Command, args`)' },
+  { version: 'v1', weight: 3, pattern: /^\s*[\w\]]+\s*=(?![=>])/m, reason: 'legacy `=` assignment' },
+  { version: 'v1', weight: 3, pattern: /^\s*#(?:NoEnv|Persistent|CommentFlag|Delimiter|EscapeChar|IfWin\w*|MaxMem|AllowSameLineComments)\b/im, reason: 'v1-only directive' },
+  { version: 'v1', weight: 3, pattern: /^\s*(?:If(?:Equal|NotEqual|Less|Greater|InString|Exist|WinExist|WinActive|WinNotExist|MsgBox)|String(?:Replace|Split|Len|Left|Right|Mid|Lower|Upper|TrimLeft|TrimRight|GetPos)|SetBatchLines|SetEnv|EnvAdd|EnvSub|EnvGet|Transform|SplashTextOn|Progress)\b/im, reason: 'v1-only command' },
+  { version: 'v1', weight: 2, pattern: /\bComObjCreate\(|\bFunc\(\s*"/i, reason: 'v1-only function' },
+  { version: 'v1', weight: 2, pattern: /(?:^|[\s,(])%\w+%/m, reason: '`%var%` variable reference' },
+  { version: 'v1', weight: 2, pattern: /^\s*return\s+%\s/im, reason: 'forced expression (`% expr`)' },
+  { version: 'v1', weight: 1, pattern: /\.(?:Length|Count|MaxIndex|MinIndex)\(\)/, reason: 'v1 object methods' },
+
+  // v2 only
+  { version: 'v2', weight: 3, pattern: /^\s*#HotIf\b/im, reason: '#HotIf directive' },
+  { version: 'v2', weight: 3, pattern: /\)\s*=>|\b\w+\s*=>/, reason: 'fat-arrow function' },
+  { version: 'v2', weight: 3, pattern: new RegExp(`^\\s*(?:${COMMANDS})\\s+["']`, 'im'), reason: 'command with a quoted string parameter' },
+  { version: 'v2', weight: 2, pattern: new RegExp(`^\\s*(?:${COMMANDS})\\(`, 'im'), reason: 'command called as a function' },
+  { version: 'v2', weight: 2, pattern: /\b(?:Map|Gui|ComObject|InputHook|Buffer)\(/, reason: 'v2-only function' },
+  { version: 'v2', weight: 2, pattern: /(?::=|\(|,)\s*'[^'\n]*'/, reason: 'single-quoted string' },
+  { version: 'v2', weight: 1, pattern: /^\s*class\s+\w+(?:\s+extends\s+[\w.]+)?\s*{/im, reason: 'class definition' },
+  { version: 'v2', weight: 1, pattern: /\.(?:Length|Count)\b(?!\()/, reason: 'v2 object properties' },
+];
+
+// v1 scripts use `:=` too, so having no legacy `=` assignments only backs
+// up other signs of v2
+const EXPRESSION_ASSIGNMENT = /^\s*[\w.\]]+\s*:=/m;
+
+/**
+ * Guess whether code is AHK v1 or v2
+ *
+ * @param {string} code - The script
+ * @returns {VersionGuess}
+ */
+export function detectVersion(code) {
+  const source = stripComments(code);
+
+  const requires = /^\s*#Requires\s+AutoHotkey\s+v?(\d)/im.exec(source);
+  if (requires && ['1', '2'].includes(requires[1])) {
+    return guess(`v${requires[1]}`, 1, ['#Requires directive']);
+  }
+
+  const score = { v1: 0, v2: 0 };
+  const reasons = { v1: [], v2: [] };
+  for (const rule of RULES) {
+    if (rule.pattern.test(source)) {
+      score[rule.version] += rule.weight;
+      reasons[rule.version].push(rule.reason);
+    }
+  }
+  if (score.v2 > 0 && score.v1 === 0 && EXPRESSION_ASSIGNMENT.test(source)) {
+    score.v2 += 1;
+    reasons.v2.push('only `:=` assignments');
+  }
+
+  const version = score.v2 > score.v1 ? 'v2' : 'v1';
+  // Evidence for the winner against the total, smoothed so a single weak
+  // hint isn't taken as certainty
+  const confidence = (score[version] + 1) / (score.v1 + score.v2 + 2);
+  return guess(version, Math.round(confidence * 100) / 100, reasons[version]);
+}
+
+// Load errors from running code under the wrong version
+const MISMATCH_PATTERNS = [
+  /This line does not contain a recognized action/i,
+  /Function calls require a space or "\("/i,
+  /Missing space or operator before this/i,
+  /Unexpected (?:"?,"?|comma)/i,
+  /Illegal character in expression/i,
+  /Unsupported use of "\."/i,
+  /Invalid hotkey/i,
+  /This (?:command|function) (?:is not supported|has been removed)/i,
+];
+
+/**
+ * Whether a load error looks like the script was written for the other
+ * version
+ *
+ * @param {string} message - The error message
+ * @returns {boolean}
+ */
+export function isVersionMismatch(message) {
+  return MISMATCH_PATTERNS.some((pattern) => pattern.test(message));
+}
+
+/**
+ * The other AHK version's language
+ *
+ * @param {string} language - 'ahk' or 'ahk2'
+ * @returns {string}
+ */
+export function otherLanguage(language) {
+  return language === 'ahk2' ? 'ahk' : 'ahk2';
+}
+
+function guess(version, confidence, reasons) {
+  return { version, language: version === 'v2' ? 'ahk2' : 'ahk', confidence, reasons };
+}
+
+/**
+ * Remove ; line comments and /* *\/ blocks, which often hold code for the
+ * other version
+ * @private
+ */
+function stripComments(code) {
+  const lines = [];
+  let inComment = false;
+  for (const line of code.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (inComment) {
+      if (trimmed.startsWith('*/') || trimmed.endsWith('*/')) inComment = false;
+      continue;
+    }
+    if (trimmed.startsWith('/*')) {
+      inComment = !trimmed.endsWith('*/');
+      continue;
+    }
+    lines.push(line.replace(/(^|\s);.*$/, ''));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @typedef {Object} VersionGuess
+ * @property {string} version - 'v1' or 'v2'
+ * @property {string} language - The matching language, 'ahk' or 'ahk2'
+ * @property {number} confidence - 0.5 (no evidence either way) to 1 (#Requires)
+ * @property {Array<string>} reasons - The syntax that pointed to `version`
+ */
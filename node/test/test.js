@@ -55,8 +55,35 @@ async function runTests() {
     console.error('   FAIL: Error not detected');
   }
 
+  // Test source line mapping
+  console.log('\n5. Testing source line mapping...');
+  const lineResult = await client.run('x := 1\ny := 2\nCall_Undefined_Function()');
+  const lineError = lineResult.errors.find((e) => e.sourceLine !== null);
+  if (lineError && lineError.sourceLine === 3 &&
+      lineError.sourceText === 'Call_Undefined_Function()') {
+    console.log('   PASS: Error mapped to source line 3');
+  } else {
+    console.error('   FAIL: Error not mapped to source line', lineResult.errors);
+  }
+
+  // Test structured exception capture
+  console.log('\n6. Testing exception capture...');
+  const captureResult = await client.run(`
+    Print("Error: this is just output")
+    x := 1
+    x.Foo()
+  `, { language: 'ahk2', captureExceptions: true });
+  if (captureResult.exceptions.length === 1 &&
+      captureResult.errors.length === 1 &&
+      captureResult.output.includes('Error: this is just output')) {
+    console.log('   PASS: Exception captured, printed text ignored');
+    console.log('   Exception class:', captureResult.exceptions[0].class);
+  } else {
+    console.error('   FAIL:', captureResult);
+  }
+
   // Test validation
-  console.log('\n5. Testing validation...');
+  console.log('\n7. Testing validation...');
   const validCode = await client.validate('Print("test")');
   const invalidCode = await client.validate('Invalid Syntax Here!!!');
   if (validCode.valid && !invalidCode.valid) {
@@ -66,7 +93,7 @@ async function runTests() {
   }
 
   // Test AHK v2
-  console.log('\n6. Testing AHK v2...');
+  console.log('\n8. Testing AHK v2...');
   const v2Result = await client.run(`
     x := 10
     Print(x * 2)
@@ -77,6 +104,21 @@ async function runTests() {
     console.error('   FAIL:', v2Result);
   }
 
+  // Test batch execution
+  console.log('\n9. Testing batch execution...');
+  const batch = await client.runBatch([
+    'Print("first")',
+    'Call_Undefined_Function()',
+    { id: 'v2', code: 'Print("third")', language: 'ahk2' },
+  ]);
+  if (batch.stats.total === 3 && batch.stats.passed === 2 && batch.stats.failed === 1 &&
+      batch.results[0].result.output.includes('first') &&
+      batch.results[2].id === 'v2') {
+    console.log('   PASS: Batch results in order with stats');
+  } else {
+    console.error('   FAIL:', batch.stats, batch.results);
+  }
+
   console.log('\n' + '='.repeat(50));
   console.log('Tests completed!\n');
 }
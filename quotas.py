@@ -0,0 +1,56 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""API key quotas, checked by the routes in api.py once a request's key is
+known: runs started per minute, and runs (or open sessions) at the same
+time. Kept apart from the routes so they can be tested without a server.
+"""
+
+import math
+import time
+from collections import deque, namedtuple
+
+RATE_WINDOW = 60.0
+
+# Who an API key belongs to and what it may use (0 for no limit)
+Quota = namedtuple('Quota', ['name', 'rate_limit', 'concurrency'])
+
+# Why a key was turned away: kind is 'rate' or 'concurrency', and
+# retry_after is in whole seconds
+Refusal = namedtuple('Refusal', ['kind', 'detail', 'retry_after'])
+
+
+class Limiter:
+    """Counts each key's runs against its Quota"""
+
+    def __init__(self, quotas, clock=time.monotonic):
+        self.quotas = quotas
+        self.clock = clock
+        # Per key: start times of runs in the last RATE_WINDOW seconds, and
+        # the runs and sessions in progress
+        self.runs = {}
+        self.in_flight = {}
+
+    def take(self, key, rate=True, concurrency=True):
+        """Count a run against the key's rate quota, its concurrency quota,
+        or both. Returns a Refusal when one is used up; otherwise, with
+        concurrency, the run must end with release()."""
+        quota = self.quotas[key]
+        now = self.clock()
+        runs = self.runs.setdefault(key, deque())
+        while runs and now - runs[0] >= RATE_WINDOW:
+            runs.popleft()
+
+        if concurrency and quota.concurrency and self.in_flight.get(key, 0) >= quota.concurrency:
+            # No telling when a run ends; runs are short, so soon
+            return Refusal('concurrency', f'At most {quota.concurrency} runs or sessions at a time', 1)
+        if rate and quota.rate_limit and len(runs) >= quota.rate_limit:
+            retry_after = max(1, math.ceil(RATE_WINDOW - (now - runs[0])))
+            return Refusal('rate', f'At most {quota.rate_limit} runs per minute', retry_after)
+        if rate:
+            runs.append(now)
+        if concurrency:
+            self.in_flight[key] = self.in_flight.get(key, 0) + 1
+        return None
+
+    def release(self, key):
+        self.in_flight[key] -= 1
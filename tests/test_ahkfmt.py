@@ -0,0 +1,144 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""Tests for ahkfmt. Run from the repository root with
+
+    python3 -m unittest discover tests
+"""
+
+import glob
+import json
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from ahkfmt import BRACE_STYLES, format_ahk  # noqa: E402
+
+
+def load_corpus():
+    """(name, code, version) for the Node client's fixtures and the
+    libraries shipped in ahk/"""
+    corpus = []
+    for path in sorted(glob.glob(os.path.join(ROOT, 'node', 'fixtures', '*.json'))):
+        with open(path, encoding='utf-8') as f:
+            fixture = json.load(f)
+        version = 'v2' if fixture['language'] == 'ahk2' else 'v1'
+        corpus.append((os.path.basename(path), fixture['code'], version))
+    for path in sorted(glob.glob(os.path.join(ROOT, 'ahk', '**', '*.ahk'), recursive=True)):
+        with open(path, encoding='utf-8-sig') as f:
+            corpus.append((os.path.relpath(path, ROOT), f.read(), 'v1'))
+    return corpus
+
+
+CORPUS = load_corpus()
+
+
+class TestCorpus(unittest.TestCase):
+
+    def test_corpus_found(self):
+        self.assertGreater(len(CORPUS), 10)
+
+    def test_idempotent(self):
+        for name, code, version in CORPUS:
+            for style in BRACE_STYLES:
+                with self.subTest(script=name, brace_style=style):
+                    once = format_ahk(code, version, brace_style=style)
+                    self.assertEqual(format_ahk(once, version, brace_style=style), once)
+
+    def test_preserve_only_reindents(self):
+        for name, code, version in CORPUS:
+            with self.subTest(script=name):
+                formatted = format_ahk(code, version, normalize_case=False)
+                before = [line.strip() for line in code.replace('\r\n', '\n').split('\n')]
+                after = [line.strip() for line in formatted.split('\n')]
+                self.assertEqual(after, before)
+
+
+class TestFormat(unittest.TestCase):
+
+    def check(self, code, expected, **options):
+        self.assertEqual(format_ahk('\n'.join(code), **options), '\n'.join(expected))
+
+    def test_blocks(self):
+        self.check(
+            ['if (x) {', 'MsgBox, 1', '} else {', 'MsgBox, 2', '}'],
+            ['if (x) {', '\tMsgBox, 1', '} else {', '\tMsgBox, 2', '}'])
+
+    def test_braceless_bodies(self):
+        self.check(
+            ['Loop, 3', 'if (A_Index = 2)', 'continue', 'else', 'x++', 'y := 1'],
+            ['Loop, 3', '\tif (A_Index = 2)', '\t\tcontinue', '\telse', '\t\tx++', 'y := 1'])
+
+    def test_else_after_nested_bodies(self):
+        self.check(
+            ['Loop, 3', 'if (x) {', 'y()', '}', 'else', 'z()', 'w()'],
+            ['Loop, 3', '\tif (x) {', '\t\ty()', '\t}', '\telse', '\t\tz()', 'w()'])
+        self.check(
+            ['for k in x', 'if a', 'if b', 'c()', 'else', 'd()', 'else', 'e()', 'f()'],
+            ['for k in x', '\tif a', '\t\tif b', '\t\t\tc()', '\t\telse', '\t\t\td()',
+             '\telse', '\t\te()', 'f()'], version='v2')
+
+    def test_hotkeys_and_labels(self):
+        self.check(
+            ['^j::', 'Send, hi', 'return', '', 'Label:', 'MsgBox', 'return'],
+            ['^j::', '\tSend, hi', '\treturn', '', 'Label:', '\tMsgBox', '\treturn'])
+
+    def test_v2_hotkey_block(self):
+        self.check(
+            ['^b:: {', 'MsgBox("b")', '}'],
+            ['^b:: {', '\tMsgBox("b")', '}'], version='v2')
+
+    def test_switch(self):
+        self.check(
+            ['switch x {', 'case 1:', 'y := 1', 'default:', 'y := 0', '}'],
+            ['switch x {', '\tcase 1:', '\t\ty := 1', '\tdefault:', '\t\ty := 0', '}'],
+            version='v2')
+
+    def test_continuation_lines(self):
+        self.check(
+            ['x := 1', '. 2', ', y := 3'],
+            ['x := 1', '\t. 2', '\t, y := 3'])
+
+    def test_continuation_section_verbatim(self):
+        self.check(
+            ['if (x) {', 'text =', '(', '  keep   this', ')', '}'],
+            ['if (x) {', '\ttext =', '\t(', '  keep   this', '\t)', '}'])
+
+    def test_block_comment_verbatim(self):
+        self.check(
+            ['f() {', '/*', '   as is', '*/', '}'],
+            ['f() {', '/*', '   as is', '*/', '}'])
+
+    def test_otb(self):
+        self.check(
+            ['if (x)', '{', 'y()', '}', 'else', '{', 'z()', '}'],
+            ['if (x) {', '\ty()', '} else {', '\tz()', '}'], brace_style='otb')
+
+    def test_allman(self):
+        self.check(
+            ['f() {', 'if (x) {', 'y()', '}', '}'],
+            ['f()', '{', '\tif (x)', '\t{', '\t\ty()', '\t}', '}'], brace_style='allman')
+
+    def test_indent_width(self):
+        self.check(['if (x) {', 'y()', '}'], ['if (x) {', '    y()', '}'], indent='    ')
+
+    def test_normalize_case(self):
+        self.check(['msgbox, hi', 'LOOP, 2', 'sleep 10'], ['MsgBox, hi', 'Loop, 2', '\tSleep 10'])
+        self.check(['msgbox, hi'], ['msgbox, hi'], normalize_case=False)
+
+    def test_strings_and_comments_untouched(self):
+        self.check(
+            ['x := "{ not a block"  ; if {', 'y := 1'],
+            ['x := "{ not a block"  ; if {', 'y := 1'])
+
+    def test_bad_options(self):
+        with self.assertRaises(ValueError):
+            format_ahk('x := 1', brace_style='kr')
+        with self.assertRaises(ValueError):
+            format_ahk('x := 1', version='v3')
+
+
+if __name__ == '__main__':
+    unittest.main()
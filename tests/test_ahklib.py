@@ -0,0 +1,88 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""Tests for ahklib. Run from the repository root with
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import ahklib  # noqa: E402
+
+
+def functions(source):
+    return [(d.name, d.kind, d.signature) for d in ahklib.parse_definitions(source)]
+
+
+class TestLibDir(unittest.TestCase):
+
+    def test_lists_every_library(self):
+        names = [os.path.splitext(file)[0] for file in ahklib.list_files()]
+        for name in ['Print', 'Emit', 'Jxon', 'json', 'Eval', 'ListLibs', 'StdOutToVar']:
+            self.assertIn(name, names)
+
+    def test_lib_path_ignores_case(self):
+        self.assertEqual(os.path.basename(ahklib.lib_path('jxon')), 'Jxon.ahk')
+        self.assertIsNone(ahklib.lib_path('NoSuchLib'))
+
+    def test_describe(self):
+        lib = ahklib.describe(ahklib.lib_path('Jxon'))
+        self.assertEqual(lib['include'], '#Include <Jxon>')
+        self.assertEqual([f['signature'] for f in lib['functions']],
+                         ['Jxon_Load(ByRef src, args*)', 'Jxon_Dump(obj, indent:="", lvl:=1)'])
+
+    def test_v2_jxon(self):
+        # The v2 port the v2 exception handler includes
+        lib = ahklib.describe(os.path.join(ROOT, 'ahk', 'v2', 'Lib', 'Jxon.ahk'))
+        self.assertEqual([f['signature'] for f in lib['functions']],
+                         ['Jxon_Load(&src, args*)', 'Jxon_Dump(obj, indent:="", lvl:=1)'])
+
+    def test_v2_emit(self):
+        lib = ahklib.describe(os.path.join(ROOT, 'ahk', 'v2', 'Lib', 'Emit.ahk'))
+        [emit] = lib['functions']
+        self.assertEqual(emit['signature'], 'Emit(value)')
+        self.assertIn('result.values', emit['doc'])
+        self.assertIn('#Include <Jxon>', ahklib.read_source(os.path.join(ROOT, 'ahk', 'v2', 'Lib', 'Emit.ahk')))
+
+    def test_class_members(self):
+        [json] = ahklib.describe(ahklib.lib_path('json'))['functions']
+        self.assertEqual(json['kind'], 'class')
+        self.assertIn('class Load extends JSON.Functor', json['members'])
+        self.assertTrue(json['doc'].startswith('Class: JSON'))
+
+
+class TestParse(unittest.TestCase):
+
+    def test_skips_calls_and_control_flow(self):
+        self.assertEqual(functions('f(x) {\n\tif (x) {\n\t\tg(x)\n\t}\n}\ng(1)\nwhile (a)\n{\n}'),
+                         [('f', 'function', 'f(x)')])
+
+    def test_brace_on_next_line(self):
+        self.assertEqual(functions('f(a, b := 1)\n{\n\treturn a\n}'),
+                         [('f', 'function', 'f(a, b := 1)')])
+
+    def test_skips_block_comments(self):
+        self.assertEqual(functions('/*\nold() {\n}\n*/\nnew() {\n}'),
+                         [('new', 'function', 'new()')])
+
+    def test_methods_are_members(self):
+        cls, f = ahklib.parse_definitions('class A {\n\tm(x) {\n\t\tinner() {\n\t}\n\t}\n}\nf() {\n}')
+        self.assertEqual(cls.members, ['m(x)'])
+        self.assertEqual(f.name, 'f')
+
+    def test_docs(self):
+        [f, g] = ahklib.parse_definitions(
+            '; Adds one\n;=======\nf(x) {\n}\n\ng() { ; Does nothing\n}')
+        self.assertEqual(f.doc, 'Adds one')
+        self.assertEqual(g.doc, 'Does nothing')
+        [h] = ahklib.parse_definitions('/**\n * Block doc\n */\nh() {\n}')
+        self.assertEqual(h.doc, 'Block doc')
+
+
+if __name__ == '__main__':
+    unittest.main()
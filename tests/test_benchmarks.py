@@ -0,0 +1,36 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""Tests for benchmarks. Run from the repository root with
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import benchmarks  # noqa: E402
+
+
+class TestReadMarks(unittest.TestCase):
+
+    def test_takes_marks_out_of_the_output(self):
+        # As run_code reads it: bytes, with the script's UTF-8 output
+        output = ('\x1ecloudahk:mark ["start",1000,100]\x1ehé\n'
+                  '\x1ecloudahk:mark ["end",1250,100]\x1e').encode('utf-8')
+        self.assertEqual(benchmarks.read_marks(output), ('hé\n', 2.5))
+
+    def test_no_body_without_both_marks(self):
+        # Killed before it exited
+        output = b'\x1ecloudahk:mark ["start",1000,100]\x1epartial'
+        self.assertEqual(benchmarks.read_marks(output), ('partial', None))
+
+    def test_invalid_utf8_is_replaced(self):
+        self.assertEqual(benchmarks.read_marks(b'\xff\n'), ('\ufffd\n', None))
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,91 @@
+#!/usr/bin/env python3
+# -*- coding: utf-8 -*-
+"""Tests for quotas. Run from the repository root with
+
+    python3 -m unittest discover tests
+"""
+
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import quotas  # noqa: E402
+
+
+class Clock:
+
+    def __init__(self):
+        self.now = 1000.0
+
+    def __call__(self):
+        return self.now
+
+
+def limiter(rate_limit=0, concurrency=0):
+    clock = Clock()
+    return quotas.Limiter({'k': quotas.Quota('Test', rate_limit, concurrency)}, clock), clock
+
+
+class TestConcurrency(unittest.TestCase):
+
+    def test_refuses_past_the_limit(self):
+        limits, _ = limiter(concurrency=2)
+        self.assertIsNone(limits.take('k'))
+        self.assertIsNone(limits.take('k'))
+        refusal = limits.take('k')
+        self.assertEqual(refusal.kind, 'concurrency')
+        self.assertEqual(refusal.retry_after, 1)
+
+    def test_release_frees_a_place(self):
+        limits, _ = limiter(concurrency=1)
+        limits.take('k')
+        limits.release('k')
+        self.assertIsNone(limits.take('k'))
+
+    def test_rate_only_runs_hold_no_place(self):
+        # Runs in a session, which holds the place itself
+        limits, _ = limiter(concurrency=1)
+        self.assertIsNone(limits.take('k', rate=False))
+        self.assertIsNone(limits.take('k', concurrency=False))
+        self.assertEqual(limits.take('k').kind, 'concurrency')
+
+    def test_zero_is_no_limit(self):
+        limits, _ = limiter()
+        for _ in range(100):
+            self.assertIsNone(limits.take('k'))
+
+
+class TestRate(unittest.TestCase):
+
+    def test_refuses_until_the_window_passes(self):
+        limits, clock = limiter(rate_limit=2)
+        limits.take('k')
+        clock.now += 20
+        limits.take('k')
+        clock.now += 10
+        refusal = limits.take('k')
+        self.assertEqual(refusal.kind, 'rate')
+        # The first run leaves the window 30 seconds from now
+        self.assertEqual(refusal.retry_after, 30)
+        clock.now += 30
+        self.assertIsNone(limits.take('k'))
+
+    def test_refused_runs_are_not_counted(self):
+        limits, clock = limiter(rate_limit=1, concurrency=1)
+        limits.take('k')
+        self.assertEqual(limits.take('k').kind, 'concurrency')
+        limits.release('k')
+        clock.now += quotas.RATE_WINDOW
+        self.assertIsNone(limits.take('k'))
+
+    def test_sessions_take_no_rate(self):
+        limits, _ = limiter(rate_limit=1)
+        self.assertIsNone(limits.take('k', rate=False))
+        self.assertIsNone(limits.take('k'))
+
+
+if __name__ == '__main__':
+    unittest.main()